@@ -1,3 +1,20 @@
+(function(root, factory) {
+	// the library keeps its namespaces on a Math of its own, which inherits the standard methods from the global Math without changing it
+	if (typeof define === 'function' && define.amd) {
+		define([], function() {
+			return factory(Object.create(Math));
+		});
+	} else if (typeof module === 'object' && module.exports) {
+		module.exports = factory(Object.create(Math));
+	} else {
+		root.probability = root.probability || {};
+		root.probability.h = factory(Object.create(Math));
+	}
+}(this, function(Math) {
+
+// the generator shared by all calls of Math.h.random, created on first use
+var generator;
+
 /**
  * @namespace
  * @desc Defines helper methods
@@ -72,6 +89,42 @@ Math.h = {
 		return (y + 1 / y) / 2;
 	},
 
+	/**
+	 * Define exponential minus one.
+	 *
+	 * @desc <code>e^x - 1</code>, evaluated by its Taylor series for small x where the subtraction would cancel most significant digits
+	 * @param {number} x - value
+	 * @return {number}
+	 */
+	expm1: function(x) {
+		return (Math.abs(x) < 1E-5) ? x + x * x / 2 + x * x * x / 6 : Math.exp(x) - 1;
+	},
+
+	/**
+	 * Define natural logarithm of one plus a value.
+	 *
+	 * @desc <code>ln(1 + x)</code>, corrected for the rounding of 1 + x so that it keeps full precision for small x
+	 * @param {number} x - value
+	 * @return {number}
+	 */
+	log1p: function(x) {
+		var u = 1 + x;
+
+		return (u === 1) ? x : Math.log(u) - ((u - 1) - x) / u;
+	},
+
+	/**
+	 * Define product of a value and the natural logarithm of another.
+	 *
+	 * @desc <code>x ln(y)</code>, defined as 0 when x is 0 so that terms like <code>k ln(p)</code> stay finite for p = 0
+	 * @param {number} x - value
+	 * @param {number} y - value
+	 * @return {number}
+	 */
+	xlogy: function(x, y) {
+		return (x === 0) ? 0 : x * Math.log(y);
+	},
+
 	/**
 	 * Define hyperbolic tangent.
 	 *
@@ -127,7 +180,8 @@ Math.h = {
 	/**
 	 * Generate a random number between 0 and 1.
 	 *
-	 * @desc Generate a better pseudo random number using the WELL19937c PRNG method.
+	 * @desc Generate a better pseudo random number using the WELL19937c PRNG method. All calls share a single generator which is created and seeded with
+	 * the current date on first use; use Math.h.createRandom for an independent, reproducible generator.
 	 * @example
 	 * Math.h.random()
 	 * // returns 0.7079318668693304
@@ -135,6 +189,27 @@ Math.h = {
 	 * @return {number} random number between 0 and 1
 	 */
 	random: function() {
+		// referenced through Math.h so the method also works when passed around as a plain function
+		if (typeof generator === 'undefined') {
+			generator = Math.h.createRandom();
+		}
+
+		return generator.next();
+	},
+
+	/**
+	 * Create a WELL19937c pseudo random number generator.
+	 *
+	 * @desc The generator keeps its own 624-word state so that sequences can be reproduced from a seed, and the state can be saved and restored at any
+	 * point. Its methods do not depend on <code>this</code> and can be passed around as plain functions.
+	 * @example
+	 * Math.h.createRandom(42).next()
+	 * // returns 0.2143805215600878
+	 *
+	 * @param {integer|array} [seed] - unsigned 32-bit seed value or array of values, defaults to the current date
+	 * @return {object} generator with next, nextUint32, seed, seedArray, getState and setState methods
+	 */
+	createRandom: function(seed) {
 		var r = 624,	// state size
 			M1 = 70,	// first parameter
 			M2 = 179,	// second parameter
@@ -153,20 +228,28 @@ Math.h = {
 		 * If less, the rest of the state is initialized with an algorithm that is based on a linear congruential generator from Numerical Recipes.
 		 */
 		function seedArray(array) {
-			v = array.slice(0, r);
+			if (!Array.isArray(array) || array.length === 0) {
+				throw new TypeError('seedArray expects a non-empty array of unsigned 32-bit values');
+			}
+
+			v = array.slice(0, r).map(function(x) {
+				return x >>> 0;
+			});
 
 			for (var i = array.length; i < r; i++) {
 				v[i] = ((1664525 * v[i - array.length]) + 1013904223) >>> 0;
 			}
+
+			index = 0;
 		}
 
 		// seed the generator with a single unsigned 32-bit value. Equivalent to seedArray([value]).
-		function seed(value) {
+		function seedValue(value) {
 			seedArray([value]);
 		}
 
-		// generate a single random 32-bit float from 0 (inclusive) to 1 (exclusive).
-		function random() {
+		// generate a single random unsigned 32-bit integer.
+		function nextUint32() {
 			var indexRm1 = iRm1[index];
 			var indexRm2 = iRm2[index];
 
@@ -190,8 +273,31 @@ Math.h = {
 			z4 ^= (z4 << 7) & 0xe46e1700;
 			z4 ^= (z4 << 15) & 0x9b868000;
 
-			// return 32-bit float
-			return (z4 >>> 0) / 0x100000000;
+			return z4 >>> 0;
+		}
+
+		// generate a single random 32-bit float from 0 (inclusive) to 1 (exclusive).
+		function next() {
+			return nextUint32() / 0x100000000;
+		}
+
+		// copy the state so that the generator can later be rewound to this point
+		function getState() {
+			return {
+				index: index,
+				v: v.slice()
+			};
+		}
+
+		function setState(state) {
+			// only accept states as returned by getState, a partial one would leave the generator broken
+			if (state === null || typeof state !== 'object' || !Array.isArray(state.v) || state.v.length !== r ||
+				!Math.h.isInt(state.index) || state.index < 0 || state.index >= r) {
+				throw new TypeError('setState expects a state as returned by getState, with an index below ' + r + ' and ' + r + ' values');
+			}
+
+			index = state.index;
+			v = state.v.slice();
 		}
 
 		// pre-compute indirection tables
@@ -203,16 +309,23 @@ Math.h = {
 			i3.push((i + M3) % r);
 		}
 
-		// seed with date
-		seed(+new Date());
-
-		/*return {
-			random: random,
-			seed: seed,
-			seedArray: seedArray
-		};*/
+		if (typeof seed === 'undefined') {
+			// seed with date
+			seedValue(+new Date());
+		} else if (Array.isArray(seed)) {
+			seedArray(seed);
+		} else {
+			seedValue(seed);
+		}
 
-		return random();
+		return {
+			next: next,
+			nextUint32: nextUint32,
+			seed: seedValue,
+			seedArray: seedArray,
+			getState: getState,
+			setState: setState
+		};
 	},
 
 	/**
@@ -371,30 +484,34 @@ Math.h = {
 	},
 
 	/**
-	 * Estimates the value of the error function at a certain value. The error function is a special function of sigmoid shape that occurs in probability, statistics, and partial differential equations describing diffusion.
+	 * Computes the value of the error function at a certain value. The error function is a special function of sigmoid shape that occurs in probability,
+	 * statistics, and partial differential equations describing diffusion. It is evaluated through its relation to the regularized lower incomplete
+	 * gamma function.
 	 *
 	 * @example
 	 * Math.h.erf(1)
-	 * // returns 0.8427006897475899
+	 * // returns 0.842700792949715
 	 *
 	 * @param {number} x - value
 	 * @return {number}
 	 */
 	erf: function(x) {
-		var c = [0.254829592, -0.284496736, 1.421413741, -1.453152027, 1.061405429];
-		var p = 0.3275911;
-		var s = 1;
-
-		if (x < 0) {
-			s = -1;
-		}
-
-		x = Math.abs(x);
-
-		var t = 1.0 / (1.0 + p * x);
-		var y = 1.0 - (((((c[4] * t + c[3]) * t) + c[2]) * t + c[1]) * t + c[0]) * t * Math.exp(-x * x);
+		return (x < 0) ? -this.gammaP(0.5, x * x) : this.gammaP(0.5, x * x);
+	},
 
-		return s * y;
+	/**
+	 * Computes the value of the complementary error function at a certain value. The complementary error function is defined as 1 - erf(x) but is
+	 * evaluated directly so that it keeps full precision when erf(x) is close to 1.
+	 *
+	 * @example
+	 * Math.h.erfc(5)
+	 * // returns 1.5374597944280327e-12
+	 *
+	 * @param {number} x - value
+	 * @return {number}
+	 */
+	erfc: function(x) {
+		return (x < 0) ? 2 - this.gammaQ(0.5, x * x) : this.gammaQ(0.5, x * x);
 	},
 
 	/**
@@ -431,17 +548,61 @@ Math.h = {
 	},
 
 	/**
-	 * Estimates the value of the Riemann zeta function with specified s value. This is a special case of a polylogarithm with z value of 1. The Riemann zeta function plays a pivotal role in analytic number theory and has applications in physics, probability theory, and applied statistics.
+	 * Estimates the value of the Riemann zeta function with specified s value. This is a special case of a polylogarithm with z value of 1 and of the
+	 * Hurwitz zeta function with q value of 1, which is used for s > 1. The Riemann zeta function plays a pivotal role in analytic number theory and has
+	 * applications in physics, probability theory, and applied statistics.
 	 *
 	 * @example
 	 * Math.h.zeta(2)
-	 * // returns 1.644854698619374
+	 * // returns 1.6449340668482262
 	 *
 	 * @param {number} s - order
 	 * @return {number}
 	 */
 	zeta: function(s) {
-		return this.polylogarithm(s, 1);
+		return (s > 1) ? this.hurwitz(s, 1) : this.polylogarithm(s, 1);
+	},
+
+	/**
+	 * Computes the value of the Hurwitz zeta function with specified s and q values, i.e. the sum of (q + k)^(-s) over all non-negative integers k. The
+	 * leading terms are summed directly and the remainder is approximated by the Euler-Maclaurin formula, which is accurate to full precision once the
+	 * summation has moved past s. The Riemann zeta function is the special case q = 1 and the tail of the zeta distribution is the case q = k + 1.
+	 *
+	 * @example
+	 * Math.h.hurwitz(2, 1)
+	 * // returns 1.6449340668482262
+	 *
+	 * @param {number} s - order greater than 1
+	 * @param {number} q - positive shift
+	 * @return {number}
+	 */
+	hurwitz: function(s, q) {
+		var i;
+		var a;
+		var t;
+		var sum = 0;
+		var n = Math.max(10, Math.ceil(s));
+		// Bernoulli numbers B_2k divided by (2k)!
+		var b = [1 / 12, -1 / 720, 1 / 30240, -1 / 1209600, 1 / 47900160, -691 / 1307674368000];
+
+		if (s === 1) {
+			return Infinity;
+		}
+
+		for (i = 0; i < n; i++) {
+			sum += Math.pow(q + i, -s);
+		}
+
+		a = q + n;
+		sum += Math.pow(a, 1 - s) / (s - 1) + Math.pow(a, -s) / 2;
+		t = s * Math.pow(a, -s - 1);
+
+		for (i = 0; i < b.length; i++) {
+			sum += b[i] * t;
+			t *= (s + 2 * i + 1) * (s + 2 * i + 2) / (a * a);
+		}
+
+		return sum;
 	},
 
 	/**
@@ -489,13 +650,11 @@ Math.h = {
 	gamma: function(n) {
 		var g = 7;
 		var p = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
-		var g_ln = 607 / 128;
-		var p_ln = [0.99999999999999709182, 57.156235665862923517, -59.597960355475491248, 14.136097974741747174, -0.49191381609762019978, 0.33994649984811888699e-4, 0.46523628927048575665e-4, -0.98374475304879564677e-4, 0.15808870322491248884e-3, -0.21026444172410488319e-3, 0.21743961811521264320e-3, -0.16431810653676389022e-3, 0.84418223983852743293e-4, -0.26190838401581408670e-4, 0.36899182659531622704e-5];
 
 		if (n < 0.5) {
 			return Math.PI / (Math.sin(Math.PI * n) * this.gamma(1 - n));
 		} else if (n > 100) {
-			return Math.exp(lngamma(n));
+			return Math.exp(this.lngamma(n));
 		} else {
 			n -= 1;
 
@@ -509,22 +668,36 @@ Math.h = {
 
 			return Math.sqrt(2 * Math.PI) * Math.pow(t, n + 0.5) * Math.exp(-t) * x;
 		}
+	},
 
-		function lngamma(n) {
-			if (n < 0) {
-				return Number('0/0');
-			}
-
-			var x = p_ln[0];
+	/**
+	 * Estimates the natural logarithm of the gamma function at a positive value. Working with the logarithm avoids the overflow of the gamma function
+	 * itself, which exceeds the largest double for arguments above 171.
+	 *
+	 * @example
+	 * Math.h.lngamma(1000)
+	 * // returns 5905.220423209182
+	 *
+	 * @param {number} n - positive value
+	 * @return {number}
+	 */
+	lngamma: function(n) {
+		var g = 607 / 128;
+		var p = [0.99999999999999709182, 57.156235665862923517, -59.597960355475491248, 14.136097974741747174, -0.49191381609762019978, 0.33994649984811888699e-4, 0.46523628927048575665e-4, -0.98374475304879564677e-4, 0.15808870322491248884e-3, -0.21026444172410488319e-3, 0.21743961811521264320e-3, -0.16431810653676389022e-3, 0.84418223983852743293e-4, -0.26190838401581408670e-4, 0.36899182659531622704e-5];
 
-			for (var i = p_ln.length - 1; i > 0; --i) {
-				x += p_ln[i] / (n + i);
-			}
+		if (n < 0) {
+			return Number('0/0');
+		}
 
-			var t = n + g_ln + 0.5;
+		var x = p[0];
 
-			return 0.5 * Math.log(2 * Math.PI) + (n + 0.5) * Math.log(t) - t + Math.log(x) - Math.log(n);
+		for (var i = p.length - 1; i > 0; --i) {
+			x += p[i] / (n + i);
 		}
+
+		var t = n + g + 0.5;
+
+		return 0.5 * Math.log(2 * Math.PI) + (n + 0.5) * Math.log(t) - t + Math.log(x) - Math.log(n);
 	},
 
 	/**
@@ -565,6 +738,268 @@ Math.h = {
 		}, 0, Infinity));
 	},
 
+	/**
+	 * Estimates the natural logarithm of the beta function with specified parameters through the logarithm of the gamma function, so that it neither
+	 * overflows nor underflows for large parameters.
+	 *
+	 * @example
+	 * Math.h.lnbeta(2, 1.6)
+	 * // returns -1.4255150742731726
+	 *
+	 * @param {number} a - alpha
+	 * @param {number} b - beta
+	 * @return {number}
+	 */
+	lnbeta: function(a, b) {
+		return this.lngamma(a) + this.lngamma(b) - this.lngamma(a + b);
+	},
+
+	/**
+	 * Estimates the natural logarithm of the binomial coefficient through the logarithm of the gamma function. Unlike Math.h.choose it stays finite for
+	 * sets of more than 170 elements.
+	 *
+	 * @example
+	 * Math.h.lnchoose(1000, 500)
+	 * // returns 689.467261567851
+	 *
+	 * @param {number} n - elements in a set
+	 * @param {number} k - combinations in the set
+	 * @return {number}
+	 */
+	lnchoose: function(n, k) {
+		return this.lngamma(n + 1) - this.lngamma(k + 1) - this.lngamma(n - k + 1);
+	},
+
+	/**
+	 * Computes the regularized lower incomplete gamma function P(a, x), i.e. the lower incomplete gamma function divided by the gamma function. It is
+	 * evaluated with its power series below x = a + 1 and as the complement of a continued fraction above, both of which converge quickly in their
+	 * respective regions.
+	 *
+	 * @example
+	 * Math.h.gammaP(3, 2)
+	 * // returns 0.32332358381693627
+	 *
+	 * @param {number} a - positive parameter
+	 * @param {number} x - non-negative value
+	 * @return {number}
+	 */
+	gammaP: function(a, x) {
+		if (isNaN(a) || isNaN(x) || a <= 0 || x < 0) {
+			return NaN;
+		} else if (x === 0) {
+			return 0;
+		} else if (x === Infinity) {
+			return 1;
+		} else if (x < a + 1) {
+			return this.gammaSeries(a, x);
+		} else {
+			return 1 - this.gammaFraction(a, x);
+		}
+	},
+
+	/**
+	 * Computes the regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x). It is evaluated directly rather than as a difference so that it
+	 * keeps full precision far into the upper tail.
+	 *
+	 * @example
+	 * Math.h.gammaQ(3, 2)
+	 * // returns 0.6766764161830637
+	 *
+	 * @param {number} a - positive parameter
+	 * @param {number} x - non-negative value
+	 * @return {number}
+	 */
+	gammaQ: function(a, x) {
+		if (isNaN(a) || isNaN(x) || a <= 0 || x < 0) {
+			return NaN;
+		} else if (x === 0) {
+			return 1;
+		} else if (x === Infinity) {
+			return 0;
+		} else if (x < a + 1) {
+			return 1 - this.gammaSeries(a, x);
+		} else {
+			return this.gammaFraction(a, x);
+		}
+	},
+
+	/**
+	 * Evaluates the series representation of the regularized lower incomplete gamma function. Converges quickly for x < a + 1.
+	 *
+	 * @param {number} a - positive parameter
+	 * @param {number} x - positive value
+	 * @return {number} P(a, x)
+	 */
+	gammaSeries: function(a, x) {
+		var n = a;
+		var del = 1 / a;
+		var sum = del;
+
+		for (var i = 0; i < 100000; i++) {
+			n += 1;
+			del *= x / n;
+			sum += del;
+
+			if (Math.abs(del) < Math.abs(sum) * 1E-16) {
+				break;
+			}
+		}
+
+		return sum * Math.exp(-x + a * Math.log(x) - this.lngamma(a));
+	},
+
+	/**
+	 * Evaluates the continued fraction representation of the regularized upper incomplete gamma function with the modified Lentz method. Converges
+	 * quickly for x > a + 1.
+	 *
+	 * @param {number} a - positive parameter
+	 * @param {number} x - positive value
+	 * @return {number} Q(a, x)
+	 */
+	gammaFraction: function(a, x) {
+		var an;
+		var del;
+		var tiny = 1E-300;
+		var b = x + 1 - a;
+		var c = 1 / tiny;
+		var d = 1 / b;
+		var h = d;
+
+		for (var i = 1; i < 100000; i++) {
+			an = -i * (i - a);
+			b += 2;
+			d = an * d + b;
+
+			if (Math.abs(d) < tiny) {
+				d = tiny;
+			}
+
+			c = b + an / c;
+
+			if (Math.abs(c) < tiny) {
+				c = tiny;
+			}
+
+			d = 1 / d;
+			del = d * c;
+			h *= del;
+
+			if (Math.abs(del - 1) < 1E-16) {
+				break;
+			}
+		}
+
+		return Math.exp(-x + a * Math.log(x) - this.lngamma(a)) * h;
+	},
+
+	/**
+	 * Computes the regularized incomplete beta function I_x(a, b), i.e. the incomplete beta function divided by the complete beta function. It is the
+	 * cdf of the beta distribution and underlies the cdfs of the binomial, Student's t and F distributions. It is evaluated with a continued fraction,
+	 * using the symmetry I_x(a, b) = 1 - I_(1-x)(b, a) to stay in the region where the fraction converges quickly.
+	 *
+	 * @example
+	 * Math.h.betaI(0.4, 2, 3)
+	 * // returns 0.5247999999999992
+	 *
+	 * @param {number} x - value between 0 and 1
+	 * @param {number} a - positive parameter
+	 * @param {number} b - positive parameter
+	 * @return {number}
+	 */
+	betaI: function(x, a, b) {
+		var bt;
+
+		if (isNaN(x) || isNaN(a) || isNaN(b) || a <= 0 || b <= 0 || x < 0 || x > 1) {
+			return NaN;
+		} else if (x === 0) {
+			return 0;
+		} else if (x === 1) {
+			return 1;
+		}
+
+		bt = Math.exp(this.lngamma(a + b) - this.lngamma(a) - this.lngamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+
+		if (x < (a + 1) / (a + b + 2)) {
+			return bt * this.betaFraction(x, a, b) / a;
+		} else {
+			return 1 - bt * this.betaFraction(1 - x, b, a) / b;
+		}
+	},
+
+	/**
+	 * Evaluates the continued fraction for the regularized incomplete beta function with the modified Lentz method. Converges quickly for x < (a + 1) /
+	 * (a + b + 2).
+	 *
+	 * @param {number} x - value between 0 and 1
+	 * @param {number} a - positive parameter
+	 * @param {number} b - positive parameter
+	 * @return {number}
+	 */
+	betaFraction: function(x, a, b) {
+		var m2;
+		var aa;
+		var del;
+		var tiny = 1E-300;
+		var qab = a + b;
+		var qap = a + 1;
+		var qam = a - 1;
+		var c = 1;
+		var d = 1 - qab * x / qap;
+
+		if (Math.abs(d) < tiny) {
+			d = tiny;
+		}
+
+		d = 1 / d;
+
+		var h = d;
+
+		for (var m = 1; m < 100000; m++) {
+			m2 = 2 * m;
+
+			// even step of the recurrence
+			aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+			d = 1 + aa * d;
+
+			if (Math.abs(d) < tiny) {
+				d = tiny;
+			}
+
+			c = 1 + aa / c;
+
+			if (Math.abs(c) < tiny) {
+				c = tiny;
+			}
+
+			d = 1 / d;
+			h *= d * c;
+
+			// odd step of the recurrence
+			aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+			d = 1 + aa * d;
+
+			if (Math.abs(d) < tiny) {
+				d = tiny;
+			}
+
+			c = 1 + aa / c;
+
+			if (Math.abs(c) < tiny) {
+				c = tiny;
+			}
+
+			d = 1 / d;
+			del = d * c;
+			h *= del;
+
+			if (Math.abs(del - 1) < 1E-16) {
+				break;
+			}
+		}
+
+		return h;
+	},
+
 	/**
 	 * Estimates the value of the digamma function at a certain value. The digamma function is defined as the logarithmic derivative of the gamma function.
 	 *
@@ -602,6 +1037,90 @@ Math.h = {
 		}, 0, Infinity) : false;
 	},
 
+	/**
+	 * Estimates the natural logarithm of the modified bessel function of the first kind at a value of x. The terms of the series are accumulated
+	 * relative to the largest one, so the result stays finite long after the function itself overflows.
+	 *
+	 * @example
+	 * Math.h.lnbesselI(1, 7)
+	 * // returns 5.050106571176002
+	 *
+	 * @param {number} a - order of function
+	 * @param {number} x - positive value
+	 * @return {number}
+	 */
+	lnbesselI: function(a, x) {
+		var m;
+		var t;
+		var max;
+		var sum = 0;
+		var lx = Math.log(x / 2);
+		var term = function(m) {
+			return (2 * m + a) * lx - this.lngamma(m + 1) - this.lngamma(m + a + 1);
+		}.bind(this);
+
+		if (x === 0) {
+			return (a === 0) ? 0 : -Infinity;
+		}
+
+		// the terms peak near m = x / 2
+		max = term(Math.max(0, Math.floor((Math.sqrt(a * a + x * x) - a) / 2)));
+
+		for (m = 0; m < 1E6; m++) {
+			t = term(m);
+			sum += Math.exp(t - max);
+
+			if (m > x / 2 && t - max < -40) {
+				break;
+			}
+		}
+
+		return max + Math.log(sum);
+	},
+
+	/**
+	 * Computes the density or the cdf of the sum of n independent standard uniform variables.
+	 * Each order is a positively weighted mix of the order below, so unlike the alternating closed form it does not cancel for large n.
+	 *
+	 * @example
+	 * Math.h.uniformSum(3, 1.5, true)
+	 * // returns 0.5
+	 *
+	 * @param {integer} n - number of uniform variables
+	 * @param {number} x - value
+	 * @param {boolean} [cumulative] - whether to compute the cdf instead of the density
+	 * @return {number}
+	 */
+	uniformSum: function(n, x, cumulative) {
+		var j;
+		var m;
+		var y;
+		var start = (cumulative) ? 0 : 1;
+		var g = [];
+
+		// g[j] holds the value of order m at x - j, starting from a step or a box
+		for (j = 0; j <= n - start; j++) {
+			y = x - j;
+			g.push((y >= 0 && (cumulative || y < 1)) ? 1 : 0);
+		}
+
+		for (m = start + 1; m <= n; m++) {
+			for (j = 0; j <= n - m; j++) {
+				y = x - j;
+
+				if (y <= 0) {
+					g[j] = 0;
+				} else if (y >= m) {
+					g[j] = (cumulative) ? 1 : 0;
+				} else {
+					g[j] = (y * g[j] + (m - y) * g[j + 1]) / ((cumulative) ? m : m - 1);
+				}
+			}
+		}
+
+		return g[0];
+	},
+
 	/**
 	 * Calculate a generic sum using supplied function of one variable and bounds with optional tolerance and maximum number of calculations for infinite sums.
 	 *
@@ -851,6 +1370,314 @@ Math.h = {
 		return (b - a) / 6 * (f(a) + 4 * f((a + b) / 2) + f(b));
 	},
 
+	/**
+	 * Numerically finds a root of a function within a bracketing interval using Brent's method. Brent's method combines bisection, the secant method and
+	 * inverse quadratic interpolation, so it converges as fast as the latter when the function is well-behaved while keeping the guaranteed convergence
+	 * of bisection.
+	 *
+	 * @example
+	 * Math.h.root(function(x) { return x * x - 2; }, 0, 2)
+	 * // returns 1.4142135623731364
+	 *
+	 * @param {function} f - single-variable function
+	 * @param {number} a - lower end of bracketing interval
+	 * @param {number} b - upper end of bracketing interval
+	 * @param {number} [tol] - absolute tolerance of the root
+	 * @param {integer} [max] - number of iterations after which to give up
+	 * @return {number} root or undefined if the interval does not bracket a root
+	 */
+	root: function(f, a, b, tol, max) {
+		var i;
+		var c;
+		var d;
+		var e;
+		var m;
+		var p;
+		var q;
+		var r;
+		var s;
+		var t;
+		var fa = f(a);
+		var fb = f(b);
+		var fc;
+
+		if (typeof tol === 'undefined') {
+			tol = 1E-12;
+		}
+		if (typeof max === 'undefined') {
+			max = 1000;
+		}
+
+		if (fa === 0) {
+			return a;
+		}
+		if (fb === 0) {
+			return b;
+		}
+		if (isNaN(fa) || isNaN(fb) || (fa > 0) === (fb > 0)) {
+			return undefined;
+		}
+
+		c = b;
+		fc = fb;
+
+		for (i = 0; i < max; i++) {
+			// keep the root between b and c
+			if ((fb > 0) === (fc > 0)) {
+				c = a;
+				fc = fa;
+				d = b - a;
+				e = d;
+			}
+
+			// make b the best estimate so far
+			if (Math.abs(fc) < Math.abs(fb)) {
+				a = b;
+				b = c;
+				c = a;
+				fa = fb;
+				fb = fc;
+				fc = fa;
+			}
+
+			t = 4.440892098500626E-16 * Math.abs(b) + tol / 2;
+			m = (c - b) / 2;
+
+			if (Math.abs(m) <= t || fb === 0) {
+				return b;
+			}
+
+			if (Math.abs(e) >= t && Math.abs(fa) > Math.abs(fb)) {
+				s = fb / fa;
+
+				if (a === c) {
+					// secant step
+					p = 2 * m * s;
+					q = 1 - s;
+				} else {
+					// inverse quadratic interpolation
+					q = fa / fc;
+					r = fb / fc;
+					p = s * (2 * m * q * (q - r) - (b - a) * (r - 1));
+					q = (q - 1) * (r - 1) * (s - 1);
+				}
+
+				if (p > 0) {
+					q = -q;
+				} else {
+					p = -p;
+				}
+
+				if (2 * p < Math.min(3 * m * q - Math.abs(t * q), Math.abs(e * q))) {
+					e = d;
+					d = p / q;
+				} else {
+					d = m;
+					e = d;
+				}
+			} else {
+				// bisection step
+				d = m;
+				e = d;
+			}
+
+			a = b;
+			fa = fb;
+			b += (Math.abs(d) > t) ? d : ((m > 0) ? t : -t);
+			fb = f(b);
+		}
+
+		return b;
+	},
+
+	/**
+	 * Numerically finds a local minimum of a multivariate function using the Nelder-Mead downhill simplex method. The method only evaluates the
+	 * function, so it copes with objectives whose derivatives are unavailable or unreliable.
+	 *
+	 * @example
+	 * Math.h.minimize(function(x) { return Math.pow(x[0] - 1, 2) + Math.pow(x[1] + 2, 2); }, [0, 0]).x
+	 * // returns [0.9999999999997581, -2.000000000000234]
+	 *
+	 * @param {function} f - function of an array of values
+	 * @param {array} x0 - starting point
+	 * @param {object} [options] - tol as the spread of function values over the simplex at which to stop, max as the number of iterations after which to
+	 * give up and step as the initial size of the simplex
+	 * @return {object} minimum x, function value at the minimum, number of iterations and whether the tolerance was reached
+	 */
+	minimize: function(f, x0, options) {
+		var i;
+		var j;
+		var best;
+		var worst;
+		var centroid;
+		var reflected;
+		var expanded;
+		var contracted;
+		var fr;
+		var x;
+		var n = x0.length;
+		var tol;
+		var max;
+		var step;
+		var simplex = [];
+
+		options = options || {};
+		tol = options.tol || 1E-12;
+		max = options.max || 1000 * Math.max(n, 1);
+		step = options.step || 0.1;
+
+		simplex.push(point(x0.slice()));
+
+		for (i = 0; i < n; i++) {
+			x = x0.slice();
+
+			x[i] += (x[i] === 0) ? step : step * Math.abs(x[i]);
+			simplex.push(point(x));
+		}
+
+		for (i = 0; i < max; i++) {
+			simplex.sort(function(a, b) {
+				return a.value - b.value;
+			});
+
+			best = simplex[0];
+			worst = simplex[n];
+
+			if (Math.abs(worst.value - best.value) <= tol * (Math.abs(best.value) + tol)) {
+				return result(true);
+			}
+
+			centroid = [];
+			for (j = 0; j < n; j++) {
+				centroid.push(Math.h.sSum(simplex.slice(0, n), mean(j)));
+			}
+
+			reflected = point(move(centroid, worst.x, -1));
+			fr = reflected.value;
+
+			if (fr < best.value) {
+				expanded = point(move(centroid, worst.x, -2));
+				simplex[n] = (expanded.value < fr) ? expanded : reflected;
+			} else if (fr < simplex[n - 1].value) {
+				simplex[n] = reflected;
+			} else {
+				contracted = (fr < worst.value) ? point(move(centroid, reflected.x, 0.5)) : point(move(centroid, worst.x, 0.5));
+
+				if (contracted.value < Math.min(fr, worst.value)) {
+					simplex[n] = contracted;
+				} else {
+					// shrink the simplex toward the best point
+					for (j = 1; j <= n; j++) {
+						simplex[j] = point(move(best.x, simplex[j].x, 0.5));
+					}
+				}
+			}
+		}
+
+		simplex.sort(function(a, b) {
+			return a.value - b.value;
+		});
+
+		return result(false);
+
+		function point(x) {
+			var value = f(x);
+
+			return {
+				x: x,
+				value: isNaN(value) ? Infinity : value
+			};
+		}
+
+		function mean(j) {
+			return function(el) {
+				return el.x[j] / n;
+			};
+		}
+
+		function move(from, to, t) {
+			return from.map(function(el, k) {
+				return el + t * (to[k] - el);
+			});
+		}
+
+		function result(converged) {
+			return {
+				x: simplex[0].x,
+				value: simplex[0].value,
+				iterations: i,
+				converged: converged
+			};
+		}
+	},
+
+	/**
+	 * Numerically estimates the matrix of second partial derivatives of a multivariate function using central differences.
+	 *
+	 * @example
+	 * Math.h.hessian(function(x) { return x[0] * x[0] * x[1]; }, [1, 2])
+	 * // returns [[3.9999999978945766, 1.9999999989472883], [1.9999999989472883, 0]]
+	 *
+	 * @param {function} f - function of an array of values
+	 * @param {array} x - point at which to evaluate the derivatives
+	 * @return {array} symmetric nxn matrix
+	 */
+	hessian: function(f, x) {
+		var i;
+		var j;
+		var n = x.length;
+		var h = x.map(function(el) {
+			return 1E-4 * Math.max(Math.abs(el), 1E-2);
+		});
+		var H = [];
+
+		for (i = 0; i < n; i++) {
+			H.push([]);
+		}
+
+		for (i = 0; i < n; i++) {
+			for (j = i; j < n; j++) {
+				H[i][j] = (at(i, h[i], j, h[j]) - at(i, h[i], j, -h[j]) - at(i, -h[i], j, h[j]) + at(i, -h[i], j, -h[j])) / (4 * h[i] * h[j]);
+				H[j][i] = H[i][j];
+			}
+		}
+
+		return H;
+
+		function at(i, di, j, dj) {
+			var y = x.slice();
+
+			y[i] += di;
+			y[j] += dj;
+
+			return f(y);
+		}
+	},
+
+	/**
+	 * Inverts a square matrix by solving for each column of the identity matrix.
+	 *
+	 * @example
+	 * Math.h.invert([[4, 7], [2, 6]])
+	 * // returns [[0.6000000000000001, -0.7000000000000001], [-0.2, 0.4]]
+	 *
+	 * @param {array} A - nxn matrix
+	 * @return {array} inverse nxn matrix
+	 */
+	invert: function(A) {
+		var columns = A.map(function(row, i) {
+			return Math.h.gauss(A.map(function(el, k) {
+				return el.concat((k === i) ? 1 : 0);
+			}));
+		});
+
+		return A.map(function(row, i) {
+			return columns.map(function(column) {
+				return column[i];
+			});
+		});
+	},
+
 	/** Solve a linear system of equations given by a nxn matrix
 	with a result vector nx1. */
 	gauss: function(A) {
@@ -1034,25 +1861,41 @@ Math.h = {
 				// helper MATH methods
 				'Math.h.besselI',
 				'Math.h.beta',
+				'Math.h.betaI',
 				'Math.h.choose',
 				'Math.h.cosh',
 				'Math.h.cot',
 				'Math.h.coth',
+				'Math.h.createRandom',
 				'Math.h.csc',
 				'Math.h.csch',
 				'Math.h.derivative',
 				'Math.h.digamma',
 				'Math.h.erf',
+				'Math.h.erfc',
+				'Math.h.expm1',
 				'Math.h.factorial',
 				'Math.h.gamma',
+				'Math.h.gammaP',
+				'Math.h.gammaQ',
 				'Math.h.harmonic',
+				'Math.h.hessian',
+				'Math.h.hurwitz',
 				'Math.h.inBounds',
 				'Math.h.integral',
+				'Math.h.invert',
 				'Math.h.isInt',
 				'Math.h.ligamma',
+				'Math.h.lnbesselI',
+				'Math.h.lnbeta',
+				'Math.h.lnchoose',
+				'Math.h.lngamma',
+				'Math.h.log1p',
+				'Math.h.minimize',
 				'Math.h.polylogarithm',
 				'Math.h.product',
 				'Math.h.random',
+				'Math.h.root',
 				'Math.h.round',
 				'Math.h.sec',
 				'Math.h.sech',
@@ -1063,6 +1906,7 @@ Math.h = {
 				'Math.h.triangular',
 				'Math.h.uigamma',
 				'Math.h.xi',
+				'Math.h.xlogy',
 				'Math.h.zeta'
 			]
 		};
@@ -1159,4 +2003,7 @@ Math.h = {
 
 		return res;
 	}
-};
\ No newline at end of file
+};
+
+return Math.h;
+}));
\ No newline at end of file
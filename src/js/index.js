@@ -0,0 +1,39 @@
+/**
+ * @namespace
+ * @desc Defines the library namespace holding the helper methods as h and the probability methods as p, which are left off the global Math unless
+ * installed there
+ */
+(function(root, factory) {
+	if (typeof define === 'function' && define.amd) {
+		define(['./helpers', './probability'], factory);
+	} else if (typeof module === 'object' && module.exports) {
+		module.exports = factory(require('./helpers'), require('./probability'));
+	} else {
+		root.probability = factory(root.probability.h, root.probability.p);
+	}
+}(this, function(h, p) {
+	var probability = {
+		h: h,
+		p: p,
+
+		/**
+		 * Install the helper and probability methods as Math.h and Math.p for code written against the global namespaces.
+		 *
+		 * @example
+		 * probability.install().p === Math.p
+		 * // returns true
+		 *
+		 * @param {object} [target] - object to install the methods on, defaults to the global Math
+		 * @return {object} target
+		 */
+		install: function(target) {
+			target = target || Math;
+			target.h = h;
+			target.p = p;
+
+			return target;
+		}
+	};
+
+	return probability;
+}));
\ No newline at end of file
@@ -0,0 +1,7 @@
+import probability from './index.js';
+
+export default probability;
+
+export var h = probability.h;
+export var p = probability.p;
+export var install = probability.install;
\ No newline at end of file
@@ -7,12 +7,15 @@ require.config({
 	}
 });
 
-define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, mustache, d3) {
+define(['jquery', 'mustache', 'd3', 'index'], function($, mustache, d3, probability) {
 	var self = this;
 
 	// track plot data
 	self.data = {};
 
+	// track histogram of user data
+	self.histogram = null;
+
 	self.svg = { width: 0, height: 0 };
 
 	// mustache templates used for displaying generated statistics
@@ -20,15 +23,25 @@ define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, musta
 		desc: '<h1>Description</h1>{{#description}}<p>{{{.}}}</p>{{/description}}',
 		formulas: '<h1>Formulae</h1><ul>{{#formulas}}<li>$${{{.}}}$$</li>{{/formulas}}</ul>',
 		params: '{{#.}}<label>{{title}} (<var>{{{symbol}}}</var>):<input type="number" min="{{min}}" max="{{max}}" step="{{step}}" value="{{value}}" id="{{id}}" data-symbol="{{{symbol}}}"/></label>{{/.}}',
-		moments: '<pre class="center"><span>&mu;: {{mean}}</span><span>&sigma;<sup>2</sup>: {{variance}}</span><span>&gamma;<sub>1</sub>: {{skewness}}</span><span>&gamma;<sub>2</sub>: {{kurtosis}}</span></pre>',
+		moments: '<pre class="center">{{#.}}<span>{{{symbol}}}: {{value}}</span>{{/.}}</pre>',
+		types: '{{#.}}<optgroup label="{{label}}">{{#distributions}}<option value="{{id}}">{{title}}</option>{{/distributions}}</optgroup>{{/.}}',
 		distr: '<h1>DF<sub>({{#.}}<var class="param">{{{symbol}}}=<em>{{value}}</em></var>{{/.}})</sub></h1>',
+		errors: '<ul class="errors">{{#.}}<li>{{message}}</li>{{/.}}</ul>'
 	};
 
 	/**
-	 * Generate support parameters based on first element in dropdown list or default to binomial distribution if there are no options. Bind all necessary events.
+	 * List every distribution, built-in or registered, in the dropdown list and generate support parameters based on its first element. Bind all necessary events.
 	 */
 	self.init = function() {
-		var distrType = $('select[name=distr-type] option').eq(0).val();
+		$('select[name=distr-type]').html(self.renderTypes());
+
+		// list distributions registered later too, keeping the selected one
+		probability.p.onRegister(function() {
+			var select = $('select[name=distr-type]');
+			var distrType = select.val();
+
+			select.html(self.renderTypes()).val(distrType);
+		});
 
 		self.bindEvents();
 		$('select[name=distr-type]').trigger('change');
@@ -44,8 +57,8 @@ define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, musta
 			var distrType = $(this).val();
 
 			$('#params').html(self.renderParams(distrType));
-			$('#desc').html(mustache.render(self.templates.desc, Math.p.distribution[distrType]));
-			$('#formulas').html(mustache.render(self.templates.formulas, Math.p.distribution[distrType]));
+			$('#desc').html(mustache.render(self.templates.desc, probability.p.distribution[distrType]));
+			$('#formulas').html(mustache.render(self.templates.formulas, probability.p.distribution[distrType]));
 			MathJax.Hub.Queue(['Typeset', MathJax.Hub]);
 		});
 
@@ -55,32 +68,29 @@ define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, musta
 
 			$('#stats, #plot').html('');
 
-			var i;
-			var inc;
-			var start;
-			var end;
-			var moments;
+			var distr;
 			var distrType = $('select[name=distr-type]').val();
-			var distrIval = Math.p.distribution[distrType].interval;
 			var params = self.getParams('#params');
 			var p_vals = self.getParamVals('#params');
-			var m_0 = Math.p.distribution[distrType].mgf(p_vals);
-
-			if (typeof m_0 === 'function') {
-				moments = {
-					mean: Math.p.moments.mean(m_0),
-					variance: Math.p.moments.variance(m_0),
-					skewness: Math.p.moments.skewness(m_0),
-					kurtosis: Math.p.moments.kurtosis(m_0)
-				};
-			} else if (typeof m_0 === 'object') {
-				moments = m_0;
+
+			// list every violated constraint instead of plotting NaN
+			try {
+				distr = probability.p.create(distrType, p_vals);
+			} catch (error) {
+				if (!(error instanceof probability.p.ParamError)) {
+					throw error;
+				}
+
+				$('#stats').html(mustache.render(self.templates.errors, error.errors));
+				$('#results').fadeIn(500);
+
+				return;
 			}
 
-			self.data = Math.p.buildDF(distrType, p_vals, moments);
+			self.data = distr.plot();
 
 			var html = mustache.render(self.templates.distr, params);
-				html += mustache.render(self.templates.moments, moments);
+				html += self.renderMoments(distr);
 
 			$('#stats').html(html);
 			$('#results').fadeIn(500);
@@ -88,17 +98,65 @@ define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, musta
 			self.redrawPlot();
 		});
 
-		// parse user input as an array of x-y coordinate pairs
+		// parse user input as an array of x-y coordinate pairs and plot a histogram of its values
+		// two columns are read as a frequency table of values and their weights
 		$('#user-data').on('submit', function(e) {
 			e.preventDefault();
 
-			//var data = [];
+			var stats;
+			var pairs;
+			var csv = $('#data-csv').val();
+			var data = self.parseCSV(csv);
+			var table = { value: 'x', weight: 'y' };
+			var weighted = /,/.test(csv);
+			var edges = $.trim($('#bin-edges').val());
+			var bins = $('select[name=bin-rule]').val();
+
+			$('#stats, #plot').html('');
+
+			if (!data || data.length < 2) {
+				$('#stats').html(mustache.render(self.templates.errors, [{
+					message: 'Data must be at least two rows of one or two comma separated numbers'
+				}]));
+				$('#results').fadeIn(500);
+
+				return;
+			}
+
+			if (edges) {
+				bins = edges.split(',').map(parseFloat);
+
+				if (bins.length < 2 || bins.some(isNaN)) {
+					$('#stats').html(mustache.render(self.templates.errors, [{
+						message: 'Bin edges must be at least two comma separated numbers'
+					}]));
+					$('#results').fadeIn(500);
+
+					return;
+				}
+			}
+
+			if (weighted) {
+				pairs = probability.p.weighted.pairs(data, table);
+				self.histogram = probability.p.histogram(pairs.values, {
+					bins: bins,
+					weights: pairs.weights
+				});
+
+				stats = probability.p.weighted.moments(data, table);
+				stats.median = probability.p.weighted.percentile(data, 50, table);
+			} else {
+				self.histogram = probability.p.histogram(data, {
+					bins: bins
+				});
 
-			//for (var i = 0; i < 100; i++) { data.push({ x: i, y: Math.h.random() }); }
+				stats = probability.p.describe(data);
+			}
 
-			var data = self.parseCSV($('#data-csv').val());
+			$('#stats').html(self.renderMoments(stats));
+			$('#results').fadeIn(500);
 
-			console.log(Math.p.mean(data), Math.p.variance(data));
+			self.redrawPlot();
 		});
 
 		// redraw svg on window resize if the plot container changes size due to responsive css widths
@@ -116,6 +174,7 @@ define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, musta
 			e.preventDefault();
 
 			self.data = {};
+			self.histogram = null;
 
 			$('#results').fadeOut(500, function() {
 				$('#stats, #plot').html('');
@@ -124,6 +183,63 @@ define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, musta
 
 	};
 
+	/**
+	 * Generate html for the moments and summary statistics of a distribution or sample, leaving out those not given.
+	 *
+	 * @param {object} stats - object with any of the mean, variance, skewness, kurtosis, median, mode and entropy properties
+	 * @return {string} html
+	 */
+	self.renderMoments = function(stats) {
+		var symbols = {
+			mean: '&mu;',
+			variance: '&sigma;<sup>2</sup>',
+			skewness: '&gamma;<sub>1</sub>',
+			kurtosis: '&gamma;<sub>2</sub>',
+			median: 'x&#771;',
+			mode: 'Mo',
+			entropy: 'H'
+		};
+
+		return mustache.render(self.templates.moments, Object.keys(symbols).filter(function(key) {
+			return typeof stats[key] !== 'undefined';
+		}).map(function(key) {
+			return {
+				symbol: symbols[key],
+				// a sample may have several modes
+				value: (Array.isArray(stats[key])) ? stats[key].join(', ') : stats[key]
+			};
+		}));
+	};
+
+	/**
+	 * Generate html options for the distribution types, grouped into discrete and continuous distributions.
+	 *
+	 * @return {string} html
+	 */
+	self.renderTypes = function() {
+		var groups = [
+			{ label: 'Discrete', distributions: [] },
+			{ label: 'Continuous', distributions: [] }
+		];
+
+		Object.keys(probability.p.distribution).forEach(function(id) {
+			var distr = probability.p.distribution[id];
+
+			groups[(distr.discrete) ? 0 : 1].distributions.push({
+				id: id,
+				title: distr.title
+			});
+		});
+
+		groups.forEach(function(group) {
+			group.distributions.sort(function(a, b) {
+				return (a.title < b.title) ? -1 : (a.title > b.title) ? 1 : 0;
+			});
+		});
+
+		return mustache.render(self.templates.types, groups);
+	};
+
 	/**
 	 * Build params array to send to other methods in the library.
 	 *
@@ -169,7 +285,7 @@ define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, musta
 	 * @return {string} html
 	 */
 	self.renderParams = function(distrType) {
-		return (typeof Math.p.distribution[distrType] !== 'undefined') ? mustache.render(self.templates.params, Math.p.distribution[distrType].params) : false;
+		return (typeof probability.p.distribution[distrType] !== 'undefined') ? mustache.render(self.templates.params, probability.p.distribution[distrType].params) : false;
 	};
 
 	/**
@@ -302,11 +418,27 @@ define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, musta
 			return o.y;
 		};
 
-		x_l = Math.min.apply(Math, self.data.cdf.map(getX));
-		x_u = Math.max.apply(Math, self.data.cdf.map(getX));
+		var pdf = self.data.pdf || [];
+		var cdf = self.data.cdf || [];
+
+		// bars spanning each histogram bin with the bin density as height
+		var bars = (self.histogram) ? self.histogram.densities.map(function(density, i) {
+			return {
+				x0: self.histogram.edges[i],
+				x1: self.histogram.edges[i + 1],
+				y: density
+			};
+		}) : [];
+
+		x_l = Math.min.apply(Math, cdf.map(getX).concat(bars.map(function(o) {
+			return o.x0;
+		})));
+		x_u = Math.max.apply(Math, cdf.map(getX).concat(bars.map(function(o) {
+			return o.x1;
+		})));
 
-		pdf_y_u = Math.max.apply(Math, self.data.pdf.map(getY));
-		cdf_y_u = Math.max.apply(Math, self.data.cdf.map(getY));
+		pdf_y_u = Math.max.apply(Math, pdf.map(getY).concat(bars.map(getY)));
+		cdf_y_u = (cdf.length) ? Math.max.apply(Math, cdf.map(getY)) : 1;
 
 		if (typeof xr[0] === 'undefined' || x_l < xr[0]) {
 			xr[0] = x_l;
@@ -341,12 +473,33 @@ define(['jquery', 'mustache', 'd3', 'helpers', 'probability'], function($, musta
 		graph.select('.y.axis.right')
 			.call(yAxisR);
 
-		graph.append('svg:path')
-			.attr('d', line1(self.data.pdf));
+		// draw bars first so the pdf line is drawn over them
+		graph.selectAll('rect.bar')
+			.data(bars)
+			.enter()
+			.append('svg:rect')
+				.attr('class', 'bar')
+				.attr('x', function(d) {
+					return x(d.x0);
+				})
+				.attr('y', function(d) {
+					return y1(d.y);
+				})
+				.attr('width', function(d) {
+					return x(d.x1) - x(d.x0);
+				})
+				.attr('height', function(d) {
+					return h - y1(d.y);
+				});
+
+		if (pdf.length) {
+			graph.append('svg:path')
+				.attr('d', line1(pdf));
 
-		graph.append('svg:path')
-			.attr('d', line2(self.data.cdf))
-			.style('stroke-dasharray', ('3, 3'));
+			graph.append('svg:path')
+				.attr('d', line2(cdf))
+				.style('stroke-dasharray', ('3, 3'));
+		}
 
 		return false;
 	};
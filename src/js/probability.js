@@ -1,229 +1,4670 @@
+(function(root, factory) {
+	if (typeof define === 'function' && define.amd) {
+		define(['./helpers'], function(h) {
+			return factory(scope(h));
+		});
+	} else if (typeof module === 'object' && module.exports) {
+		module.exports = factory(scope(require('./helpers')));
+	} else {
+		root.probability = root.probability || {};
+		root.probability.p = factory(scope(root.probability.h));
+	}
+
+	// a Math of the library's own holding the helper methods, see helpers.js
+	function scope(h) {
+		var m = Object.create(Math);
+
+		m.h = h;
+
+		return m;
+	}
+}(this, function(Math) {
+
+// functions called by Math.p.register with each newly registered distribution
+var listeners = [];
+
 /**
  * @namespace
  * @description define probability methods
  * @property {object} moments - standard moment definitions
+ * @property {object} weighted - statistics of weighted samples
+ * @property {object} test - hypothesis tests
+ * @property {object} interval - confidence intervals
+ * @property {object} kernels - smoothing kernels of kernel density estimates
  *
  * @property {object} distribution - defined commonly used distributions
  * @property {object} distribution.(distribution) - contains standard statistics specified below for a particular distribution
  */
 Math.p = {
 	/**
-	 * Calculate sample mean from an array of x-y coordinate objects.
+	 * Calculate sample mean from an array of numbers or of x-y coordinate objects.
 	 *
 	 * @example
 	 * Math.p.mean([{ x: 0, y: 0.1 }, { x: 0.5, y: 12.53 }, { x: 4, y: 5 }])
 	 * // returns 5.876666666666667
 	 *
-	 * @param {array} array - sample array of objects with x and y coordinate properties
+	 * @param {array} array - sample array of numbers or of objects with x and y coordinate properties
 	 * @return {number} mean
 	 */
 	mean: function(array) {
-		return 1 / array.length * Math.h.sSum(array, function(el) {
-			return el.y;
+		return 1 / array.length * Math.h.sSum(Math.p.values(array), function(el) {
+			return el;
 		});
 	},
 
 	/**
-	 * Calculate sample variance from an array of x-y coordinate objects.
+	 * Calculate sample variance from an array of numbers or of x-y coordinate objects.
 	 *
 	 * @example
 	 * Math.p.variance([{ x: 0, y: 0.1 }, { x: 0.5, y: 12.53 }, { x: 4, y: 5 }])
 	 * // returns 39.20263333333333
 	 *
-	 * @param {array} array - sample array of objects with x and y coordinate properties
+	 * @param {array} array - sample array of numbers or of objects with x and y coordinate properties
 	 * @return {number} variance
 	 */
 	variance: function(array) {
 		var mean = Math.p.mean(array);
 
-		return 1 / (array.length - 1) * Math.h.sSum(array, function(el) {
-			return Math.pow(el.y - mean, 2);
+		return 1 / (array.length - 1) * Math.h.sSum(Math.p.values(array), function(el) {
+			return Math.pow(el - mean, 2);
 		});
 	},
 
 	/**
-	 * Call method to generate pdf and cdf distribution plots based on a distribution and its parameters and moments.
+	 * Calculate a percentile of a sample, interpolating between the two observations it falls between.
 	 *
-	 * @param {string} distrType - distribution type as string
-	 * @param {object} params - statistical parameters object
-	 * @param {object} moments - moments object generated via moment-generating function
-	 * @return {object} object of pdf and cdf arrays containing x-y value pairs for plotting
+	 * @desc The methods are linear as in R's default and spreadsheet PERCENTILE functions, lower, higher, nearest and midpoint. Weights repeat observations.
+	 *
+	 * @example
+	 * Math.p.percentile([1, 3, 4, 8], 25)
+	 * // returns 2.5
+	 * @example
+	 * Math.p.percentile([1, 3, 4, 8], 25, 'higher')
+	 * // returns 3
+	 * @example
+	 * Math.p.percentile([1, 3, 4, 8], 25, 'linear', [1, 1, 5, 1])
+	 * // returns 3.75
+	 *
+	 * @param {array} array - sample array of numbers or of objects with x and y coordinate properties
+	 * @param {number} p - percentage between 0 and 100
+	 * @param {string} [method] - interpolation method, defaults to linear
+	 * @param {array} [weights] - weight of each observation, defaults to 1
+	 * @return {number} percentile
 	 */
-	buildDF: function(distrType, params, moments) {
-		var distr = {
-			pdf: [],
-			cdf: []
-		};
-		var inc = (Math.p.distribution[distrType].discrete) ? 1 : Math.sqrt(moments.variance) / 100;
+	percentile: function(array, p, method, weights) {
+		var values = Math.p.values(array);
+		var order = values.map(function(el, i) {
+			return i;
+		}).sort(function(a, b) {
+			return values[a] - values[b];
+		});
+		var methods = ['linear', 'lower', 'higher', 'nearest', 'midpoint'];
+		var total = (weights) ? Math.h.sSum(weights, function(el) {
+			return el;
+		}) : values.length;
+		var h = (total - 1) * p / 100;
+		var lo;
+		var hi;
+
+		if (typeof p !== 'number' || isNaN(p) || p < 0 || p > 100) {
+			throw new Math.p.ParamError('percentile', [{
+				param: 'p',
+				constraint: (p > 100) ? 'max' : 'min',
+				value: p,
+				limit: (p > 100) ? 100 : 0,
+				message: 'Percentage must be a number between 0 and 100'
+			}]);
+		}
+		if (typeof method !== 'undefined' && methods.indexOf(method) === -1) {
+			throw new Math.p.ParamError('percentile', [{
+				param: 'method',
+				constraint: 'method',
+				value: method,
+				message: 'Interpolation method must be one of ' + methods.join(', ')
+			}]);
+		}
 
-		if (isNaN(inc) || Math.abs(inc) > 99999) {
-			inc = 0.01;
+		lo = at(Math.floor(h));
+		hi = at(Math.ceil(h));
+
+		switch (method) {
+			case 'lower':
+				return lo;
+			case 'higher':
+				return hi;
+			case 'nearest':
+				return at(Math.round(h));
+			case 'midpoint':
+				return (lo + hi) / 2;
+			default:
+				return lo + (h - Math.floor(h)) * (hi - lo);
 		}
 
-		distr.pdf = Math.p.generatePDF(distrType, params, moments, -inc).concat(Math.p.generatePDF(distrType, params, moments, inc));
+		// observation at a position of the sorted sample with each observation repeated by its weight
+		function at(position) {
+			var i;
+			var cumulative = 0;
 
-		distr.pdf.sort(function(a, b) {
-			if (a.x < b.x) {
-				return -1;
-			} else if (a.x > b.x) {
-				return 1;
+			for (i = 0; i < order.length; i++) {
+				cumulative += (weights) ? weights[order[i]] : 1;
+
+				if (cumulative > position) {
+					return values[order[i]];
+				}
 			}
 
-			return 0;
+			return values[order[order.length - 1]];
+		}
+	},
+
+	/**
+	 * Calculate descriptive statistics of a sample, with the moments named as those of a distribution.
+	 *
+	 * @desc The variance is unbiased, the skewness adjusted Fisher-Pearson and the kurtosis unbiased excess, as in spreadsheets. The MAD has no
+	 * consistency factor.
+	 *
+	 * @example
+	 * Math.p.describe([2, 4, 4, 4, 5, 5, 7, 9], { percentiles: [10, 90] }).percentiles
+	 * // returns { 10: 3.4, 90: 7.6 }
+	 *
+	 * @param {array} array - sample array of numbers or of objects with x and y coordinate properties
+	 * @param {object} [options] - percentiles as an array of percentages, method as in Math.p.percentile and trim as the proportion cut from each end,
+	 * defaults to 0.1
+	 * @return {object} statistics
+	 */
+	describe: function(array, options) {
+		var x = Math.p.values(array).sort(function(a, b) {
+			return a - b;
+		});
+		var n = x.length;
+		var mean = Math.p.mean(x);
+		var variance = Math.p.variance(x);
+		var counts = {};
+		var max = 0;
+		var cut;
+		var median;
+		var stats;
+
+		options = options || {};
+		cut = Math.floor(n * ((typeof options.trim === 'undefined') ? 0.1 : options.trim));
+		median = percentile(50);
+
+		x.forEach(function(el) {
+			counts[el] = (counts[el] || 0) + 1;
+			max = Math.max(max, counts[el]);
 		});
 
-		distr.cdf = Math.p.generateCDF(distr.pdf, inc);
+		stats = {
+			count: n,
+			min: x[0],
+			max: x[n - 1],
+			range: x[n - 1] - x[0],
+			mean: mean,
+			variance: variance,
+			std: Math.sqrt(variance),
+			skewness: n * n / ((n - 1) * (n - 2)) * central(3) / Math.pow(variance, 1.5),
+			kurtosis: (n + 1) * n * n / ((n - 1) * (n - 2) * (n - 3)) * central(4) / Math.pow(variance, 2) - 3 * Math.pow(n - 1, 2) / ((n - 2) * (n - 3)),
+			standardError: Math.sqrt(variance / n),
+			median: median,
+			quartiles: [percentile(25), median, percentile(75)],
+			percentiles: {},
+			mode: x.filter(function(el, i) {
+				return counts[el] === max && (i === 0 || el !== x[i - 1]);
+			}),
+			trimmedMean: Math.p.mean(x.slice(cut, n - cut)),
+			mad: Math.p.percentile(x.map(function(el) {
+				return Math.abs(el - median);
+			}), 50, options.method)
+		};
 
-		return distr;
+		stats.iqr = stats.quartiles[2] - stats.quartiles[0];
+
+		(options.percentiles || []).forEach(function(p) {
+			stats.percentiles[p] = percentile(p);
+		});
+
+		return stats;
+
+		function percentile(p) {
+			return Math.p.percentile(x, p, options.method);
+		}
+
+		function central(k) {
+			return Math.h.sSum(x, function(el) {
+				return Math.pow(el - mean, k);
+			}) / n;
+		}
 	},
 
 	/**
-	 * Generate one side of a pdf numerically until y value becomes negligible. Starts at the mean and moves outward in the direction of the sign of increment.
+	 * Bin a sample into a histogram, with bins of equal width spanning the sample or between given edges, leaving out observations outside them.
 	 *
-	 * @param {string} distrType - distribution type as string
-	 * @param {object} params - statistical parameters object
-	 * @param {object} moments - moments object generated via moment-generating function
-	 * @param {number} inc - increment to loop over
-	 * @return {array} array of objects containing x-y value pairs
+	 * @desc Each bin includes its lower edge, the last one its upper edge too. Freedman-Diaconis falls back to Sturges on tied quartiles. The bars have
+	 * an area of 1.
+	 *
+	 * @example
+	 * Math.p.histogram([1, 2, 2, 3, 7], { bins: 3 })
+	 * // returns { edges: [1, 3, 5, 7], counts: [3, 1, 1], densities: [0.3, 0.1, 0.1] }
+	 *
+	 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+	 * @param {object} [options] - bins as a number of bins, sturges, scott, freedmanDiaconis or an array of edges, defaults to sturges, and weights as
+	 * in Math.p.percentile
+	 * @return {object} bin edges with the count and density of each bin
 	 */
-	generatePDF: function(distrType, params, moments, inc) {
-		var value;
-		var pdf = [];
-		var i = 0;
-		var sum = 0;
-		var v = 0;
-		var start = (inc < 0) ? moments.mean - inc : moments.mean;
-
-		if (Math.p.distribution[distrType].discrete === true) {
-			start = Math.floor(start);
+	histogram: function(samples, options) {
+		var x = Math.p.values(samples);
+		var n = x.length;
+		var rules = ['sturges', 'scott', 'freedmanDiaconis'];
+		var weights;
+		var stats;
+		var bins;
+		var edges = [];
+		var counts = [];
+		var total;
+		var width;
+		var i;
+
+		options = options || {};
+		bins = (typeof options.bins === 'undefined') ? 'sturges' : options.bins;
+		weights = options.weights;
+
+		if (n === 0) {
+			throw new Math.p.ParamError('histogram', [{
+				constraint: 'samples',
+				value: n,
+				limit: 1,
+				message: 'The sample must have at least one observation'
+			}]);
 		}
-		if (isNaN(moments.mean) || Math.abs(moments.mean) > 99999) {
-			start = 0;
+		if (typeof bins === 'string' && rules.indexOf(bins) === -1) {
+			throw new Math.p.ParamError('histogram', [{
+				param: 'bins',
+				constraint: 'rule',
+				value: bins,
+				message: 'Bins must be a number, an array of edges or one of ' + rules.join(', ')
+			}]);
 		}
 
-		while (Math.abs(start - i) <= 10 * moments.variance || i < 99999) {
-			value = Math.p.distribution[distrType].pdf(params)(start - i);
+		stats = spread();
 
-			if (isNaN(value) || value <= 0) {
-				v += 1;
+		if (Array.isArray(bins)) {
+			edges = bins.slice().sort(function(a, b) {
+				return a - b;
+			});
+		} else {
+			if (typeof bins === 'number' && (!Math.h.isInt(bins) || bins < 1)) {
+				throw new Math.p.ParamError('histogram', [{
+					param: 'bins',
+					constraint: 'integer',
+					value: bins,
+					message: 'Number of bins must be a positive integer'
+				}]);
 			}
 
-			if (v > 10 || isNaN(i / inc) || (!isNaN(value) && ((value >= 0 && value <= 1E-5)))) {
-				break;
+			if (bins === 'scott') {
+				width = 3.49 * stats.std * Math.pow(stats.n, -1 / 3);
+			} else if (bins === 'freedmanDiaconis') {
+				width = 2 * stats.iqr * Math.pow(stats.n, -1 / 3);
 			}
 
-			if (Math.h.inBounds(start - i, Math.p.distribution[distrType].bounds(params)) && !isNaN(value)) {
-				pdf.push({
-					x: start - i,
-					y: value
-				});
+			// fall back to Sturges' rule when the rule gives no usable width, as for tied quartiles
+			if (typeof bins !== 'number' && !(isFinite(width) && width > 0)) {
+				width = stats.range / (Math.ceil(Math.log(stats.n) / Math.LN2) + 1);
 			}
 
-			i += inc;
+			bins = (typeof bins === 'number') ? bins : Math.max(1, Math.ceil(stats.range / width) || 1);
+			width = (stats.range > 0) ? stats.range / bins : 1;
+
+			for (i = 0; i <= bins; i++) {
+				edges.push((stats.range > 0) ? stats.min + i * width : stats.min - 0.5 + i * width);
+			}
+
+			// keep the maximum in the last bin despite rounding of the edges
+			edges[bins] = Math.max(edges[bins], stats.max);
 		}
 
-		return pdf;
+		for (i = 1; i < edges.length; i++) {
+			counts.push(0);
+		}
+
+		x.forEach(function(el, j) {
+			var k = bin(el);
+
+			if (k !== -1) {
+				counts[k] += (weights) ? weights[j] : 1;
+			}
+		});
+
+		total = Math.h.sSum(counts, function(el) {
+			return el;
+		});
+
+		return {
+			edges: edges,
+			counts: counts,
+			densities: counts.map(function(el, k) {
+				return el / (total * (edges[k + 1] - edges[k]));
+			})
+		};
+
+		// extent and spread of the sample, with each observation repeated by its weight
+		function spread() {
+			var sorted = x.slice().sort(function(a, b) {
+				return a - b;
+			});
+			var moments = (weights) ? Math.p.weighted.moments(x.map(function(el, j) {
+				return { y: el, weight: weights[j] };
+			})) : Math.p.describe(x);
+
+			return {
+				n: (weights) ? moments.n : n,
+				min: sorted[0],
+				max: sorted[n - 1],
+				range: sorted[n - 1] - sorted[0],
+				std: Math.sqrt(moments.variance),
+				iqr: Math.p.percentile(x, 75, 'linear', weights) - Math.p.percentile(x, 25, 'linear', weights)
+			};
+		}
+
+		// index of the bin of a value or -1 outside the edges
+		function bin(y) {
+			var mid;
+			var lo = 0;
+			var hi = edges.length - 1;
+
+			if (y < edges[0] || y > edges[hi]) {
+				return -1;
+			}
+			if (y === edges[hi]) {
+				return hi - 1;
+			}
+
+			while (hi - lo > 1) {
+				mid = Math.floor((lo + hi) / 2);
+
+				if (edges[mid] <= y) {
+					lo = mid;
+				} else {
+					hi = mid;
+				}
+			}
+
+			return lo;
+		}
 	},
 
 	/**
-	 * Generate a cdf based on the summation of pdf values in an array of objects containing x-y coordinate pairs.
+	 * Build an empirical distribution from a sample, with the histogram of the sample as its pdf and the empirical cdf as its cdf.
 	 *
-	 * @param {array} pdf - distribution array
-	 * @return {array} array of objects containing x-y value pairs
+	 * @example
+	 * Math.p.empirical([1, 2, 2, 3, 7]).cdf()(2.5)
+	 * // returns 0.6
+	 *
+	 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+	 * @param {object} [options] - bins as accepted by Math.p.histogram, defaults to Sturges' rule
+	 * @return {object} distribution
 	 */
-	generateCDF: function(pdf, inc) {
-		var cdf = [];
-		var i = 0;
-		var sum = 0;
+	empirical: function(samples, options) {
+		var x = Math.p.values(samples).sort(function(a, b) {
+			return a - b;
+		});
+		var n = x.length;
+		var stats = Math.p.describe(x);
+		var histogram = Math.p.histogram(x, options);
+		var bins = histogram.counts.length;
 
-		for (i = 0, l = pdf.length; i < l; i++) {
-			sum += pdf[i].y;
+		return {
+			description: [
+				'The empirical distribution of a sample of ' + n + ' observations assigns probability 1/' + n + ' to each observation. Its cdf is a step function that rises at every observation, and its density is estimated by a histogram of ' + bins + ' bins.'
+			],
 
-			cdf.push({
-				x: pdf[i].x,
-				y: sum * inc
-			});
+			formulas: [
+				'\\mathbf{pdf} = \\frac{n_j}{n (e_j - e_{j-1})}, x \\in [e_{j-1}, e_j)',
+				'\\mathbf{cdf} = \\frac{1}{n} \\sum_{i=1}^n \\mathbf{1}_{x_i \\le x}'
+			],
+
+			discrete: false,
+
+			bounds: function(params) {
+				return {
+					lower: {
+						value: stats.min,
+						closed: true
+					},
+					upper: {
+						value: stats.max,
+						closed: true
+					}
+				};
+			},
+
+			params: [],
+
+			mgf: function(params) {
+				return {
+					mean: stats.mean,
+					variance: stats.variance,
+					skewness: stats.skewness,
+					kurtosis: stats.kurtosis
+				};
+			},
+
+			pdf: function(params) {
+				return function(y) {
+					var j = bin(y);
+
+					return (j === -1) ? 0 : histogram.densities[j];
+				};
+			},
+
+			cdf: function(params) {
+				return function(y) {
+					return below(y) / n;
+				};
+			},
+
+			sf: function(params) {
+				return function(y) {
+					return (n - below(y)) / n;
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					return x[Math.max(0, Math.ceil(n * p) - 1)];
+				};
+			},
+
+			sample: function(params, size, rng) {
+				return Math.p.draw(size, rng, function(rng) {
+					return x[Math.floor(rng() * n)];
+				});
+			}
+		};
+
+		// index of the histogram bin of a value or -1 outside the bin edges, the last bin including its upper edge
+		function bin(y) {
+			var edges = histogram.edges;
+			var j = 0;
+
+			if (y < edges[0] || y > edges[bins]) {
+				return -1;
+			}
+
+			while (j < bins - 1 && edges[j + 1] <= y) {
+				j++;
+			}
+
+			return j;
 		}
 
-		return cdf;
+		// number of observations not above a value
+		function below(y) {
+			var mid;
+			var lo = 0;
+			var hi = n;
+
+			while (lo < hi) {
+				mid = Math.floor((lo + hi) / 2);
+
+				if (x[mid] <= y) {
+					lo = mid + 1;
+				} else {
+					hi = mid;
+				}
+			}
+
+			return lo;
+		}
 	},
 
 	/**
-	 * @namespace
-	 * @description define moments
+	 * Build a kernel density estimate from a sample with a given bandwidth or one chosen by Silverman's rule, Scott's rule or least-squares cross-validation.
+	 *
+	 * @desc Cross-validation keeps Silverman's bandwidth when its score is lowest on the edge of the searched range, as it is for heavily tied samples.
+	 *
+	 * @example
+	 * Math.p.kde([1, 2, 2, 3, 7], { kernel: 'epanechnikov', bandwidth: 1 }).pdf()(2)
+	 * // returns 0.3
+	 *
+	 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+	 * @param {object} [options] - kernel as a name in Math.p.kernels, defaults to gaussian, and bandwidth as a number or silverman, scott or lscv,
+	 * defaults to silverman
+	 * @return {object} distribution with the kernel name and bandwidth used
 	 */
-	moments: {
-		/**
-		 * Calculate the mean of a moment generating function via numerical derivation. The mean approximates the statistical norm or average or expected value.
-		 *
-		 * @example
-		 * Math.p.moments.mean(function(t) { return Math.sqrt(t + 0.1); })
-		 * // returns 1.581
-		 *
-		 * @param {function} f - single-variable function
-		 * @return {number} mean
-		 */
-		mean: function(f) {
-			return Math.h.round(Math.h.derivative(f, 1, 0), 3);
-		},
+	kde: function(samples, options) {
+		var x = Math.p.values(samples);
+		var n = x.length;
+		var rules = ['silverman', 'scott', 'lscv'];
+		var stats;
+		var name;
+		var kernel;
+		var h;
+		var m2;
+		var m4;
+		var distr;
+
+		options = options || {};
+		name = options.kernel || 'gaussian';
+
+		if (!Math.p.kernels.hasOwnProperty(name)) {
+			throw new Math.p.ParamError('kde', [{
+				param: 'kernel',
+				constraint: 'kernel',
+				value: name,
+				message: 'Kernel must be one of ' + Object.keys(Math.p.kernels).join(', ')
+			}]);
+		}
+		if (typeof options.bandwidth !== 'undefined' && typeof options.bandwidth !== 'number' && rules.indexOf(options.bandwidth) === -1) {
+			throw new Math.p.ParamError('kde', [{
+				param: 'bandwidth',
+				constraint: 'rule',
+				value: options.bandwidth,
+				message: 'Bandwidth must be a number or one of ' + rules.join(', ')
+			}]);
+		}
+		if (n === 0) {
+			throw new Math.p.ParamError('kde', [{
+				constraint: 'samples',
+				value: n,
+				limit: 1,
+				message: 'The sample must have at least one observation'
+			}]);
+		}
 
-		/**
-		 * Calculate the variance of a moment generating function via numerical derivation. Variance is the second moment around the mean; the expected value of the square of the deviations of a random variable from its mean value.
-		 *
-		 * @example
-		 * Math.p.moments.variance(function(t) { return Math.sqrt(t + 0.1); })
-		 * // returns -10.406
-		 *
-		 * @param {function} f - single-variable function
-		 * @return {number} variance
-		 */
-		variance: function(f) {
-			return Math.h.round(Math.h.derivative(f, 2, 0) - Math.pow(Math.h.derivative(f, 1, 0), 2), 3);
-		},
+		kernel = Math.p.kernels[name];
+		stats = Math.p.describe(x);
+
+		// the rules scale the bandwidth to the spread of the sample, of which a single value has none
+		if (typeof options.bandwidth !== 'number' && stats.range === 0) {
+			throw new Math.p.ParamError('kde', [{
+				param: 'bandwidth',
+				constraint: 'samples',
+				value: options.bandwidth || 'silverman',
+				message: 'The sample has no spread to choose a bandwidth from, give the bandwidth as a number'
+			}]);
+		}
 
-		/**
-		 * Calculate the skewness of a moment generating function via numerical derivation. Skewness is a measure of the degree of asymmetry of a distribution. If the left tail is more pronounced than the right tail, the function is said to have negative skewness. If the reverse is true, it has positive skewness. If the two are equal, it has zero skewness.
-		 *
-		 * @example
-		 * Math.p.moments.skewness(function(t) { return Math.sqrt(t + 0.1); })
-		 * // returns NaN
-		 *
-		 * @param {function} f - single-variable function
-		 * @return {number} skewness
-		 */
-		skewness: function(f) {
-			return Math.h.round((Math.h.derivative(f, 3, 0) - 3 * Math.h.derivative(f, 1, 0) * Math.h.derivative(f, 2, 0) + 2 * Math.pow(Math.h.derivative(f, 1, 0), 3)) / Math.pow(Math.h.derivative(f, 2, 0) - Math.pow(Math.h.derivative(f, 1, 0), 2), 1.5), 3);
-		},
+		if (typeof options.bandwidth === 'number') {
+			h = options.bandwidth;
+		} else if (options.bandwidth === 'lscv') {
+			h = lscv();
+		} else if (options.bandwidth === 'scott') {
+			h = canonical(1.06 * stats.std * Math.pow(n, -0.2));
+		} else {
+			h = canonical(0.9 * spread() * Math.pow(n, -0.2));
+		}
+
+		if (typeof h !== 'number' || !isFinite(h) || h <= 0) {
+			throw new Math.p.ParamError('kde', [{
+				param: 'bandwidth',
+				constraint: 'min',
+				value: h,
+				limit: 0,
+				message: 'Bandwidth must be a positive number'
+			}]);
+		}
+
+		// the estimate is a mixture of scaled kernels centred on the observations
+		m2 = central(2) + h * h * kernel.variance;
+		m4 = central(4) + 6 * h * h * kernel.variance * central(2) + Math.pow(h, 4) * kernel.fourth;
+
+		distr = {
+			kernel: name,
+			bandwidth: h,
+
+			description: [
+				'A kernel density estimate smooths a sample of ' + n + ' observations by centring a ' + name + ' kernel of bandwidth ' + Math.h.round(h, 3) + ' on each observation and averaging them.'
+			],
+
+			formulas: [
+				'\\mathbf{pdf} = \\frac{1}{n h} \\sum_{i=1}^n K\\bigg(\\frac{x - x_i}{h}\\bigg)'
+			],
+
+			discrete: false,
+
+			bounds: function(params) {
+				return {
+					lower: {
+						value: stats.min - kernel.support * h,
+						closed: true
+					},
+					upper: {
+						value: stats.max + kernel.support * h,
+						closed: true
+					}
+				};
+			},
+
+			params: [],
+
+			mgf: function(params) {
+				return {
+					mean: stats.mean,
+					variance: m2,
+					skewness: central(3) / Math.pow(m2, 1.5),
+					kurtosis: m4 / Math.pow(m2, 2) - 3
+				};
+			},
+
+			pdf: function(params) {
+				return function(y) {
+					return Math.h.sSum(x, function(el) {
+						return kernel.pdf((y - el) / h);
+					}) / (n * h);
+				};
+			},
+
+			cdf: function(params) {
+				return function(y) {
+					return Math.h.sSum(x, function(el) {
+						return kernel.cdf((y - el) / h);
+					}) / n;
+				};
+			},
+
+			sf: function(params) {
+				return function(y) {
+					return Math.h.sSum(x, function(el) {
+						return kernel.cdf((el - y) / h);
+					}) / n;
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF(distr, params);
+			},
+
+			sample: function(params, size, rng) {
+				return Math.p.draw(size, rng, function(rng) {
+					return x[Math.floor(rng() * n)] + h * kernel.sample(rng);
+				});
+			}
+		};
+
+		return distr;
+
+		function central(k) {
+			return Math.h.sSum(x, function(el) {
+				return Math.pow(el - stats.mean, k);
+			}) / n;
+		}
+
+		// robust spread of Silverman's rule, falling back to the standard deviation and then the range when the quartiles coincide
+		function spread() {
+			var iqr = stats.iqr / 1.34;
+
+			if (iqr > 0) {
+				return Math.min(stats.std, iqr);
+			}
+
+			return stats.std || stats.range;
+		}
+
+		// carry a bandwidth of the gaussian kernel over to the chosen kernel
+		function canonical(g) {
+			var gaussian = Math.p.kernels.gaussian;
+
+			return g * Math.pow(kernel.roughness / Math.pow(kernel.variance, 2), 0.2) / Math.pow(gaussian.roughness / Math.pow(gaussian.variance, 2), 0.2);
+		}
+
+		// minimise the least-squares cross-validation score over a logarithmic grid from a hundredth to ten times Silverman's bandwidth, then refine
+		function lscv() {
+			var i;
+			var g;
+			var score;
+			var best = Infinity;
+			var edge = true;
+			var start = canonical(0.9 * spread() * Math.pow(n, -0.2));
+			var f = function(u) {
+				var i;
+				var j;
+				var d;
+				var sum = 0;
+				var loo = 0;
+				var h = Math.exp(u[0]);
+
+				// keep the refinement within the grid, as the score falls without bound on tied observations
+				if (Math.abs(u[0] - Math.log(start) + 0.5 * Math.LN10) > 1.5 * Math.LN10) {
+					return Infinity;
+				}
+
+				for (i = 0; i < n; i++) {
+					for (j = 0; j < n; j++) {
+						d = (x[i] - x[j]) / h;
+						sum += kernel.convolution(d);
+
+						if (i !== j) {
+							loo += kernel.pdf(d);
+						}
+					}
+				}
+
+				return sum / (n * n * h) - 2 * loo / (n * (n - 1) * h);
+			};
+
+			for (i = -20; i <= 10; i++) {
+				score = f([Math.log(start) + i / 10 * Math.LN10]);
+
+				if (score < best) {
+					best = score;
+					edge = (i === -20 || i === 10);
+					g = Math.log(start) + i / 10 * Math.LN10;
+				}
+			}
+
+			// an optimum on the edge of the grid is no optimum at all, as for heavily tied observations, so keep Silverman's bandwidth
+			if (edge || !isFinite(best)) {
+				return start;
+			}
+
+			return Math.exp(Math.h.minimize(f, [g], {
+				step: 0.1
+			}).x[0]);
+		}
+	},
+
+	/**
+	 * Build a finite mixture of continuous distributions, normalizing the weights to sum to 1.
+	 *
+	 * @example
+	 * Math.p.mixture([{ distr: 'gaussian', params: { mean: 0, std: 1 }, weight: 1 }, { distr: 'gaussian', params: { mean: 4, std: 1 }, weight: 3 }]).cdf()(2)
+	 * // returns 0.2613750659740896
+	 *
+	 * @param {array} components - objects holding the distribution type as distr, its statistical parameters as params and an optional positive weight
+	 * @return {object} distribution
+	 */
+	mixture: function(components) {
+		var total;
+		var parts;
+		var moments;
+		var distr;
+
+		if (!Array.isArray(components) || components.length === 0) {
+			throw new Math.p.ParamError('mixture', [{
+				constraint: 'components',
+				value: components,
+				message: 'A mixture needs at least one component'
+			}]);
+		}
+
+		components.forEach(function(component, i) {
+			var errors = Math.p.validate(component.distr, component.params);
+			var weight = (typeof component.weight === 'undefined') ? 1 : component.weight;
+
+			if (errors.length) {
+				throw new Math.p.ParamError(component.distr, errors);
+			}
+			if (Math.p.distribution[component.distr].discrete) {
+				throw new Math.p.ParamError('mixture', [{
+					constraint: 'discrete',
+					value: component.distr,
+					message: 'Component ' + (i + 1) + ' (' + component.distr + ') must be a continuous distribution'
+				}]);
+			}
+			if (typeof weight !== 'number' || !isFinite(weight) || weight <= 0) {
+				throw new Math.p.ParamError('mixture', [{
+					param: 'weight',
+					constraint: 'min',
+					value: weight,
+					limit: 0,
+					message: 'Weight of component ' + (i + 1) + ' must be a positive number'
+				}]);
+			}
+		});
+
+		total = Math.h.sSum(components, function(component) {
+			return (typeof component.weight === 'undefined') ? 1 : component.weight;
+		});
+
+		parts = components.map(function(component) {
+			var distribution = Math.p.distribution[component.distr];
+
+			return {
+				distr: component.distr,
+				params: component.params,
+				weight: ((typeof component.weight === 'undefined') ? 1 : component.weight) / total,
+				pdf: distribution.pdf(component.params),
+				cdf: distribution.cdf(component.params),
+				sf: distribution.sf(component.params),
+				bounds: distribution.bounds(component.params),
+				moments: central(distribution.mgf(component.params))
+			};
+		});
+
+		moments = combine();
+
+		distr = {
+			components: parts.map(function(part) {
+				return {
+					distr: part.distr,
+					params: part.params,
+					weight: part.weight
+				};
+			}),
+
+			description: [
+				'A finite mixture of ' + parts.length + ' components is the distribution of a variate drawn from one of the component distributions, which is chosen at random with probability equal to its weight.'
+			],
+
+			formulas: [
+				'\\mathbf{pdf} = \\sum_{j=1}^k w_j f_j(x)',
+				'\\mathbf{cdf} = \\sum_{j=1}^k w_j F_j(x)'
+			],
+
+			discrete: false,
+
+			bounds: function(params) {
+				var lower = parts.reduce(function(a, b) {
+					return (b.bounds.lower.value < a.bounds.lower.value) ? b : a;
+				}).bounds.lower;
+				var upper = parts.reduce(function(a, b) {
+					return (b.bounds.upper.value > a.bounds.upper.value) ? b : a;
+				}).bounds.upper;
+
+				return {
+					lower: lower,
+					upper: upper
+				};
+			},
+
+			params: [],
+
+			mgf: function(params) {
+				return moments;
+			},
+
+			pdf: function(params) {
+				return function(y) {
+					return Math.h.sSum(parts, function(part) {
+						return part.weight * part.pdf(y);
+					});
+				};
+			},
+
+			cdf: function(params) {
+				return function(y) {
+					return Math.h.sSum(parts, function(part) {
+						return part.weight * part.cdf(y);
+					});
+				};
+			},
+
+			sf: function(params) {
+				return function(y) {
+					return Math.h.sSum(parts, function(part) {
+						return part.weight * part.sf(y);
+					});
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF(distr, params);
+			},
+
+			sample: function(params, size, rng) {
+				return Math.p.draw(size, rng, function(rng) {
+					var j = 0;
+					var u = rng();
+
+					while (j < parts.length - 1 && u >= parts[j].weight) {
+						u -= parts[j].weight;
+						j++;
+					}
+
+					return Math.p.distribution[parts[j].distr].sample(parts[j].params, 1, rng)[0];
+				});
+			}
+		};
+
+		return distr;
+
+		// mean, variance and third and fourth central moments of a component, derived without the rounding of Math.p.moments
+		function central(m) {
+			var d;
+
+			if (typeof m === 'function') {
+				d = [1, 2, 3, 4].map(function(k) {
+					return Math.h.derivative(m, k, 0);
+				});
+
+				return {
+					mean: d[0],
+					variance: d[1] - d[0] * d[0],
+					m3: d[2] - 3 * d[0] * d[1] + 2 * Math.pow(d[0], 3),
+					m4: d[3] - 4 * d[0] * d[2] + 6 * d[1] * d[0] * d[0] - 3 * Math.pow(d[0], 4)
+				};
+			}
+
+			return {
+				mean: m.mean,
+				variance: m.variance,
+				m3: m.skewness * Math.pow(m.variance, 1.5),
+				m4: (m.kurtosis + 3) * Math.pow(m.variance, 2)
+			};
+		}
+
+		// moments of the mixture from the central moments of the components about the mixture mean
+		function combine() {
+			var mean = Math.h.sSum(parts, function(part) {
+				return part.weight * part.moments.mean;
+			});
+			var m = [2, 3, 4].map(function(k) {
+				return Math.h.sSum(parts, function(part) {
+					var c = part.moments;
+					var d = c.mean - mean;
+
+					if (k === 2) {
+						return part.weight * (c.variance + d * d);
+					} else if (k === 3) {
+						return part.weight * (c.m3 + 3 * d * c.variance + Math.pow(d, 3));
+					}
+
+					return part.weight * (c.m4 + 4 * d * c.m3 + 6 * d * d * c.variance + Math.pow(d, 4));
+				});
+			});
+
+			return {
+				mean: mean,
+				variance: m[0],
+				skewness: m[1] / Math.pow(m[0], 1.5),
+				kurtosis: m[2] / Math.pow(m[0], 2) - 3
+			};
+		}
+	},
+
+	/**
+	 * Truncate a distribution to the range from lower to upper, both included.
+	 *
+	 * @example
+	 * Math.p.truncate('poisson', { lambda: 2 }, 1).pdf()(1)
+	 * // returns 0.31303528549933135
+	 *
+	 * @param {string} distrType - distribution type as string
+	 * @param {object} params - statistical parameters object
+	 * @param {number} [lower] - lowest value kept, defaults to -Infinity
+	 * @param {number} [upper] - highest value kept, defaults to Infinity
+	 * @return {object} distribution
+	 */
+	truncate: function(distrType, params, lower, upper) {
+		var distribution = Math.p.distribution[distrType];
+		var errors = Math.p.validate(distrType, params);
+		var values = params;
+		var pdf;
+		var logpdf;
+		var cdf;
+		var sf;
+		var bounds;
+		var mass;
+		var moments;
+		var distr;
+
+		if (errors.length) {
+			throw new Math.p.ParamError(distrType, errors);
+		}
+
+		lower = (typeof lower === 'number') ? lower : -Infinity;
+		upper = (typeof upper === 'number') ? upper : Infinity;
+
+		// only whole values can be kept from a discrete distribution
+		if (distribution.discrete) {
+			lower = Math.ceil(lower);
+			upper = Math.floor(upper);
+		}
+
+		pdf = distribution.pdf(params);
+		logpdf = distribution.logpdf(params);
+		cdf = distribution.cdf(params);
+		sf = distribution.sf(params);
+		bounds = distribution.bounds(params);
+
+		if (isNaN(lower) || isNaN(upper) || lower > upper) {
+			throw new Math.p.ParamError(distrType, [{
+				constraint: 'truncation',
+				value: [lower, upper],
+				message: 'Lower truncation limit must not exceed the upper truncation limit'
+			}]);
+		}
+
+		if (lower > bounds.lower.value || (lower === bounds.lower.value && lower > -Infinity)) {
+			bounds.lower = {
+				value: lower,
+				closed: true
+			};
+		}
+		if (upper < bounds.upper.value || (upper === bounds.upper.value && upper < Infinity)) {
+			bounds.upper = {
+				value: upper,
+				closed: true
+			};
+		}
+
+		mass = between(lower, upper);
+
+		if (isNaN(mass) || mass <= 0) {
+			throw new Math.p.ParamError(distrType, [{
+				constraint: 'truncation',
+				value: [lower, upper],
+				message: 'No probability lies between the truncation limits ' + lower + ' and ' + upper
+			}]);
+		}
+
+		distr = {
+			distribution: distrType,
+			params: [],
+
+			description: [
+				'The ' + distrType + ' distribution truncated to the range from ' + lower + ' to ' + upper + ' is the distribution of its variates conditional on falling within that range, which holds ' + Math.h.round(100 * mass, 3) + '% of its probability.'
+			],
+
+			formulas: [
+				'\\mathbf{pdf} = \\frac{f(x)}{F(b) - F(a)}, x \\in [a, b]',
+				'\\mathbf{cdf} = \\frac{F(x) - F(a)}{F(b) - F(a)}, x \\in [a, b]'
+			],
+
+			discrete: distribution.discrete,
+
+			bounds: function(params) {
+				return bounds;
+			},
+
+			mgf: function(params) {
+				moments = moments || integrate();
+
+				return moments;
+			},
+
+			pdf: function(params) {
+				return function(x) {
+					return (x < lower || x > upper) ? 0 : pdf(x) / mass;
+				};
+			},
+
+			logpdf: function(params) {
+				return function(x) {
+					return (x < lower || x > upper) ? -Infinity : logpdf(x) - Math.log(mass);
+				};
+			},
+
+			cdf: function(params) {
+				return function(x) {
+					if (x < lower) {
+						return 0;
+					} else if (x >= upper) {
+						return 1;
+					}
+
+					return between(lower, x) / mass;
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					if (x < lower) {
+						return 1;
+					} else if (x >= upper) {
+						return 0;
+					}
+
+					return between((distribution.discrete) ? Math.floor(x) + 1 : x, upper) / mass;
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF(distr, params);
+			},
+
+			sample: function(params, size, rng) {
+				var quantile = distr.quantile(params);
+
+				return Math.p.draw(size, rng, function(rng) {
+					var x;
+					var tries;
+
+					for (tries = 0; mass > 0.25 && tries < 100; tries++) {
+						x = distribution.sample(values, 1, rng)[0];
+
+						if (x >= lower && x <= upper) {
+							return x;
+						}
+					}
+
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			}
+		};
+
+		return distr;
+
+		// probability of the distribution between a and b, both included, taken from the tail it is more precise in
+		function between(a, b) {
+			var below = (a === -Infinity) ? 0 : (distribution.discrete) ? cdf(a - 1) : cdf(a);
+			var above = (b === Infinity) ? 0 : sf(b);
+
+			if (below > 0.5) {
+				return ((distribution.discrete) ? sf(a - 1) : sf(a)) - above;
+			} else if (above > 0.5) {
+				return ((b === Infinity) ? 1 : cdf(b)) - below;
+			}
+
+			return 1 - below - above;
+		}
+
+		// moments by summation over the support or by the midpoint rule between quantiles spread over the body and far into the tails
+		function integrate() {
+			var quantile = distr.quantile();
+			var tails = [1E-12, 1E-9, 1E-6, 1E-4, 1E-3, 1E-2];
+			var p = [0].concat(tails);
+			var original = distribution.mgf(values);
+			var names = ['mean', 'variance', 'skewness', 'kurtosis'];
+			var edges;
+			var centre;
+			var m = [0, 0, 0, 0, 0];
+			var result;
+			var width;
+			var x;
+			var v;
+			var i;
+			var j;
+
+			for (i = 1; i < 50; i++) {
+				p.push(i / 50);
+			}
+
+			p = p.concat(tails.reverse().map(function(el) {
+				return 1 - el;
+			}), [1]);
+
+			edges = p.map(quantile).filter(isFinite);
+			centre = quantile(0.5);
+
+			if (distribution.discrete) {
+				for (i = edges[0]; i <= edges[edges.length - 1] && i - edges[0] < 1E6; i++) {
+					add(i, pdf(i));
+				}
+			} else {
+				for (i = 1; i < edges.length; i++) {
+					width = (edges[i] - edges[i - 1]) / 40;
+
+					for (j = 0; j < 40 && width > 0; j++) {
+						x = edges[i - 1] + (j + 0.5) * width;
+						add(x, pdf(x) * width);
+					}
+				}
+			}
+
+			m = m.map(function(el) {
+				return el / m[0];
+			});
+			v = m[2] - m[1] * m[1];
+
+			result = {
+				mean: centre + m[1],
+				variance: v,
+				skewness: (m[3] - 3 * m[1] * m[2] + 2 * Math.pow(m[1], 3)) / Math.pow(v, 1.5),
+				kurtosis: (m[4] - 4 * m[1] * m[3] + 6 * m[2] * m[1] * m[1] - 3 * Math.pow(m[1], 4)) / (v * v) - 3
+			};
+
+			// moments that do not exist for the distribution do not exist for an unbounded truncation of it either
+			if (typeof original === 'object' && !(isFinite(bounds.lower.value) && isFinite(bounds.upper.value))) {
+				names.forEach(function(name) {
+					if (!isFinite(original[name])) {
+						result[name] = NaN;
+					}
+				});
+			}
+
+			return result;
+
+			// accumulate moments about the median to keep their differences precise
+			function add(x, w) {
+				var k;
+
+				if (isFinite(w)) {
+					for (k = 0; k < 5; k++) {
+						m[k] += w * Math.pow(x - centre, k);
+					}
+				}
+			}
+		}
+	},
+
+	/**
+	 * Shift and scale a continuous distribution, giving the distribution of loc + scale * x for variates x of the distribution.
+	 *
+	 * @example
+	 * Math.p.transform('studentsT', { v: 4 }, { loc: 10, scale: 2 }).cdf()(12)
+	 * // returns 0.8130495168499705
+	 *
+	 * @param {string} distrType - distribution type as string
+	 * @param {object} params - statistical parameters object
+	 * @param {object} [options] - loc as the shift, defaults to 0, and scale as the non-zero factor, defaults to 1
+	 * @return {object} distribution
+	 */
+	transform: function(distrType, params, options) {
+		var distribution = Math.p.distribution[distrType];
+		var errors = Math.p.validate(distrType, params);
+		var values = params;
+		var loc;
+		var scale;
+		var pdf;
+		var logpdf;
+		var cdf;
+		var sf;
+		var quantile;
+		var bounds;
+		var distr;
+
+		if (errors.length) {
+			throw new Math.p.ParamError(distrType, errors);
+		}
+
+		options = options || {};
+		loc = (typeof options.loc === 'undefined') ? 0 : options.loc;
+		scale = (typeof options.scale === 'undefined') ? 1 : options.scale;
+
+		if (distribution.discrete) {
+			errors.push({
+				constraint: 'discrete',
+				value: distrType,
+				message: 'Only continuous distributions can be shifted and scaled'
+			});
+		}
+		if (typeof loc !== 'number' || !isFinite(loc)) {
+			errors.push({
+				param: 'loc',
+				constraint: 'type',
+				value: loc,
+				message: 'Location (loc) must be a finite number'
+			});
+		}
+		if (typeof scale !== 'number' || !isFinite(scale) || scale === 0) {
+			errors.push({
+				param: 'scale',
+				constraint: 'type',
+				value: scale,
+				message: 'Scale (scale) must be a finite non-zero number'
+			});
+		}
+		if (errors.length) {
+			throw new Math.p.ParamError(distrType, errors);
+		}
+
+		pdf = distribution.pdf(params);
+		logpdf = distribution.logpdf(params);
+		cdf = distribution.cdf(params);
+		sf = distribution.sf(params);
+		quantile = distribution.quantile(params);
+		bounds = distribution.bounds(params);
+
+		distr = {
+			distribution: distrType,
+			loc: loc,
+			scale: scale,
+
+			description: [
+				'The ' + distrType + ' distribution shifted by ' + loc + ' and scaled by ' + scale + ' is the distribution of ' + loc + ' + ' + scale + 'x for variates x of the ' + distrType + ' distribution.'
+			],
+
+			formulas: [
+				'\\mathbf{pdf} = \\frac{1}{|s|} f\\Big(\\frac{x - l}{s}\\Big)',
+				'\\mathbf{cdf} = F\\Big(\\frac{x - l}{s}\\Big), s > 0'
+			],
+
+			discrete: false,
+
+			bounds: function(params) {
+				var lower = (scale > 0) ? bounds.lower : bounds.upper;
+				var upper = (scale > 0) ? bounds.upper : bounds.lower;
+
+				return {
+					lower: {
+						value: loc + scale * lower.value,
+						closed: lower.closed
+					},
+					upper: {
+						value: loc + scale * upper.value,
+						closed: upper.closed
+					}
+				};
+			},
+
+			params: [],
+
+			mgf: function(params) {
+				var m = distribution.mgf(values);
+
+				if (typeof m === 'function') {
+					return function(t) {
+						return Math.exp(loc * t) * m(scale * t);
+					};
+				}
+
+				return {
+					mean: loc + scale * m.mean,
+					variance: scale * scale * m.variance,
+					skewness: Math.h.sgn(scale) * m.skewness,
+					kurtosis: m.kurtosis
+				};
+			},
+
+			pdf: function(params) {
+				return function(x) {
+					return pdf((x - loc) / scale) / Math.abs(scale);
+				};
+			},
+
+			logpdf: function(params) {
+				return function(x) {
+					return logpdf((x - loc) / scale) - Math.log(Math.abs(scale));
+				};
+			},
+
+			cdf: function(params) {
+				return function(x) {
+					return (scale > 0) ? cdf((x - loc) / scale) : sf((x - loc) / scale);
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return (scale > 0) ? sf((x - loc) / scale) : cdf((x - loc) / scale);
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					return loc + scale * quantile((scale > 0) ? p : 1 - p);
+				};
+			},
+
+			sample: function(params, size, rng) {
+				return distribution.sample(values, size, rng).map(function(el) {
+					return loc + scale * el;
+				});
+			}
+		};
+
+		return distr;
+	},
+
+	/**
+	 * Build the distribution of the sum of two independent random variables, using the known result where one exists.
+	 *
+	 * @example
+	 * Math.p.convolve({ distr: 'gamma', params: { k: 2, theta: 3 } }, { distr: 'gamma', params: { k: 1.5, theta: 3 } }).exact
+	 * // returns { distr: 'gamma', params: { k: 3.5, theta: 3 } }
+	 *
+	 * @param {object} a - distribution type as distr and statistical parameters object as params of the first variable
+	 * @param {object} b - distribution type as distr and statistical parameters object as params of the second variable
+	 * @return {object} distribution
+	 */
+	convolve: function(a, b) {
+		var parts = [a, b].map(function(part) {
+			var errors = Math.p.validate(part.distr, part.params);
+
+			if (errors.length) {
+				throw new Math.p.ParamError(part.distr, errors);
+			}
+
+			return {
+				distr: part.distr,
+				params: part.params,
+				distribution: Math.p.distribution[part.distr]
+			};
+		});
+		var discrete = parts[0].distribution.discrete && parts[1].distribution.discrete;
+		var exact = known();
+		var method;
+		var pdf;
+		var cdf;
+		var sf;
+		var distr;
+
+		if (exact && Math.p.validate(exact.distr, exact.params).length === 0) {
+			method = 'exact';
+			pdf = Math.p.distribution[exact.distr].pdf(exact.params);
+			cdf = Math.p.distribution[exact.distr].cdf(exact.params);
+			sf = Math.p.distribution[exact.distr].sf(exact.params);
+		} else {
+			exact = null;
+
+			if (discrete) {
+				method = 'discrete';
+				lattice();
+			} else if (parts[0].distribution.discrete || parts[1].distribution.discrete) {
+				method = 'mixture';
+				shifted();
+			} else {
+				method = 'grid';
+				grid();
+			}
+		}
+
+		distr = {
+			components: [a, b],
+			method: method,
+			exact: exact,
+
+			description: [
+				'The distribution of the sum of independent ' + a.distr + ' and ' + b.distr + ' variates' + ((exact) ? ' is itself a ' + exact.distr + ' distribution.' : ' is the convolution of their distributions.')
+			],
+
+			formulas: (discrete) ? [
+				'\\mathbf{pdf} = \\sum_k f_X(k) f_Y(z - k)'
+			] : [
+				'\\mathbf{pdf} = \\int_{-\\infty}^{\\infty} f_X(x) f_Y(z - x) dx'
+			],
+
+			discrete: discrete,
+
+			bounds: function(params) {
+				var first = parts[0].distribution.bounds(parts[0].params);
+				var second = parts[1].distribution.bounds(parts[1].params);
+
+				return {
+					lower: {
+						value: first.lower.value + second.lower.value,
+						closed: first.lower.closed && second.lower.closed
+					},
+					upper: {
+						value: first.upper.value + second.upper.value,
+						closed: first.upper.closed && second.upper.closed
+					}
+				};
+			},
+
+			params: [],
+
+			mgf: function(params) {
+				var m = parts.map(function(part) {
+					return part.distribution.mgf(part.params);
+				});
+				var c;
+
+				if (exact) {
+					return Math.p.distribution[exact.distr].mgf(exact.params);
+				}
+
+				if (typeof m[0] === 'function' && typeof m[1] === 'function') {
+					return function(t) {
+						return m[0](t) * m[1](t);
+					};
+				}
+
+				// cumulants of independent variables add
+				c = m.map(cumulants);
+
+				return {
+					mean: c[0][0] + c[1][0],
+					variance: c[0][1] + c[1][1],
+					skewness: (c[0][2] + c[1][2]) / Math.pow(c[0][1] + c[1][1], 1.5),
+					kurtosis: (c[0][3] + c[1][3]) / Math.pow(c[0][1] + c[1][1], 2)
+				};
+			},
+
+			pdf: function(params) {
+				return pdf;
+			},
+
+			cdf: function(params) {
+				return cdf;
+			},
+
+			sf: function(params) {
+				return sf;
+			},
+
+			quantile: function(params) {
+				return (exact) ? Math.p.distribution[exact.distr].quantile(exact.params) : Math.p.invertCDF(distr, params);
+			},
+
+			sample: function(params, size, rng) {
+				var x = parts[0].distribution.sample(parts[0].params, size, rng);
+				var y = parts[1].distribution.sample(parts[1].params, size, rng);
+
+				return x.map(function(el, i) {
+					return el + y[i];
+				});
+			}
+		};
+
+		return distr;
+
+		// distribution of the sum when it is known in closed form
+		function known() {
+			var p = [parts[0].params, parts[1].params];
+
+			if (a.distr !== b.distr) {
+				return null;
+			}
+
+			if (a.distr === 'gaussian') {
+				return {
+					distr: 'gaussian',
+					params: {
+						mean: p[0].mean + p[1].mean,
+						std: Math.sqrt(p[0].std * p[0].std + p[1].std * p[1].std)
+					}
+				};
+			} else if (a.distr === 'cauchy') {
+				return {
+					distr: 'cauchy',
+					params: {
+						x0: p[0].x0 + p[1].x0,
+						gamma: p[0].gamma + p[1].gamma
+					}
+				};
+			} else if (a.distr === 'poisson') {
+				return {
+					distr: 'poisson',
+					params: {
+						lambda: p[0].lambda + p[1].lambda
+					}
+				};
+			} else if (a.distr === 'gamma' && p[0].theta === p[1].theta) {
+				return {
+					distr: 'gamma',
+					params: {
+						k: p[0].k + p[1].k,
+						theta: p[0].theta
+					}
+				};
+			} else if (a.distr === 'binomial' && p[0].p === p[1].p) {
+				return {
+					distr: 'binomial',
+					params: {
+						n: p[0].n + p[1].n,
+						p: p[0].p
+					}
+				};
+			}
+
+			return null;
+		}
+
+		// mean, variance and third and fourth cumulants from a moment-generating function or from moments
+		function cumulants(m) {
+			var d;
+
+			if (typeof m === 'function') {
+				d = [1, 2, 3, 4].map(function(k) {
+					return Math.h.derivative(m, k, 0);
+				});
+
+				return [
+					d[0],
+					d[1] - d[0] * d[0],
+					d[2] - 3 * d[0] * d[1] + 2 * Math.pow(d[0], 3),
+					d[3] - 4 * d[0] * d[2] - 3 * d[1] * d[1] + 12 * d[0] * d[0] * d[1] - 6 * Math.pow(d[0], 4)
+				];
+			}
+
+			return [m.mean, m.variance, m.skewness * Math.pow(m.variance, 1.5), m.kurtosis * m.variance * m.variance];
+		}
+
+		// probabilities of the integers between extreme quantiles of a discrete distribution, from the log-pmf as the pmf overflows for large counts
+		function table(part) {
+			var quantile = part.distribution.quantile(part.params);
+			var f = part.distribution.logpdf(part.params);
+			var first = quantile(1E-12);
+			var last = Math.min(quantile(1 - 1E-12), first + 4999);
+			var p = [];
+			var missing;
+			var k;
+
+			for (k = first; k <= last; k++) {
+				p.push(Math.exp(f(k)));
+			}
+
+			// the number of probabilities is limited, which heavy tails must not exceed by much
+			missing = 1 - Math.h.sSum(p, function(el) {
+				return el;
+			});
+
+			if (isNaN(missing) || missing > 1E-6) {
+				throw new Math.p.ParamError(part.distr, [{
+					constraint: 'truncation',
+					value: missing,
+					limit: 1E-6,
+					message: 'The ' + part.distr + ' distribution leaves ' + Math.h.round(missing, 6) + ' of its probability beyond the ' + p.length + ' values a convolution can use'
+				}]);
+			}
+
+			return {
+				first: first,
+				p: p
+			};
+		}
+
+		// exact convolution of the probability mass functions
+		function lattice() {
+			var x = table(parts[0]);
+			var y = table(parts[1]);
+			var first = x.first + y.first;
+			var p = [];
+			var below = [];
+			var above = [];
+			var i;
+			var j;
+
+			for (i = 0; i < x.p.length + y.p.length - 1; i++) {
+				p.push(0);
+			}
+
+			for (i = 0; i < x.p.length; i++) {
+				for (j = 0; j < y.p.length; j++) {
+					p[i + j] += x.p[i] * y.p[j];
+				}
+			}
+
+			cumulate(p, below, above);
+
+			pdf = function(z) {
+				return (Math.h.isInt(z) && z >= first && z - first < p.length) ? p[z - first] : 0;
+			};
+
+			cdf = function(z) {
+				var k = Math.floor(z) - first;
+
+				return (k < 0) ? 0 : (k >= p.length) ? 1 : below[k];
+			};
+
+			sf = function(z) {
+				var k = Math.floor(z) - first;
+
+				return (k < 0) ? 1 : (k >= p.length) ? 0 : above[k];
+			};
+		}
+
+		// mixture of copies of the continuous distribution shifted by each value of the discrete one
+		function shifted() {
+			var d = (parts[0].distribution.discrete) ? parts[0] : parts[1];
+			var c = (parts[0].distribution.discrete) ? parts[1] : parts[0];
+			var x = table(d);
+			var f = c.distribution.pdf(c.params);
+			var F = c.distribution.cdf(c.params);
+			var S = c.distribution.sf(c.params);
+
+			pdf = mix(f);
+			cdf = mix(F);
+			sf = mix(S);
+
+			function mix(g) {
+				return function(z) {
+					var i;
+					var sum = 0;
+
+					for (i = 0; i < x.p.length; i++) {
+						sum += x.p[i] * g(z - x.first - i);
+					}
+
+					return sum;
+				};
+			}
+		}
+
+		// numerical convolution over cells of a thousandth of the central 98% of the narrower distribution, but at least a ten-thousandth of that of the wider one,
+		// spanning as much of both as 40 million products allow; the tails beyond the cells count towards the cdf of the outermost cells but not the pdf
+		function grid() {
+			var ranges = parts.map(function(part) {
+				var quantile = part.distribution.quantile(part.params);
+
+				return [quantile(1E-9), quantile(0.01), quantile(0.5), quantile(0.99), quantile(1 - 1E-9)];
+			});
+			var central = ranges.map(function(range) {
+				return range[3] - range[1];
+			});
+			var h = Math.max(Math.min(central[0], central[1]) / 1000, Math.max(central[0], central[1]) / 10000);
+			var counts = ranges.map(function(range) {
+				return Math.max(1, Math.ceil((range[4] - range[0]) / h));
+			});
+			var budget = 4E7;
+			var x;
+			var y;
+			var origin;
+			var body = [];
+			var p;
+			var below = [];
+			var above = [];
+			var i;
+			var j;
+
+			// narrow the wider distributions around their medians until the products fit the budget
+			if (counts[0] * counts[1] > budget) {
+				if (Math.min(counts[0], counts[1]) <= Math.sqrt(budget)) {
+					counts = counts.map(function(count) {
+						return Math.min(count, Math.floor(budget / Math.min(counts[0], counts[1])));
+					});
+				} else {
+					counts = [Math.floor(Math.sqrt(budget)), Math.floor(Math.sqrt(budget))];
+				}
+			}
+
+			ranges.forEach(function(range, k) {
+				range[0] = Math.max(range[0], Math.min(range[2] - counts[k] * h / 2, range[4] - counts[k] * h));
+				range[4] = range[0] + counts[k] * h;
+			});
+
+			x = cells(parts[0], ranges[0], counts[0]);
+			y = cells(parts[1], ranges[1], counts[1]);
+			origin = ranges[0][0] + ranges[1][0] + h;
+
+			for (i = 0; i < x.masses.length + y.masses.length - 1; i++) {
+				body.push(0);
+			}
+
+			for (i = 0; i < x.masses.length; i++) {
+				for (j = 0; j < y.masses.length; j++) {
+					body[i + j] += x.masses[i] * y.masses[j];
+				}
+			}
+
+			// add the products involving the tails, which only the outermost cells hold
+			p = body.slice();
+			spread(y.masses, x.lower, 0);
+			spread(y.masses, x.upper, x.masses.length - 1);
+			spread(x.masses, y.lower, 0);
+			spread(x.masses, y.upper, y.masses.length - 1);
+			p[0] += x.lower * y.lower;
+			p[y.masses.length - 1] += x.lower * y.upper;
+			p[x.masses.length - 1] += x.upper * y.lower;
+			p[p.length - 1] += x.upper * y.upper;
+
+			cumulate(p, below, above);
+
+			// densities are interpolated between the midpoints of the summed cells
+			pdf = function(z) {
+				var t = (z - origin) / h;
+				var k = Math.floor(t);
+				var left = (k >= 0 && k < body.length) ? body[k] : 0;
+				var right = (k + 1 >= 0 && k + 1 < body.length) ? body[k + 1] : 0;
+
+				return (left + (t - k) * (right - left)) / h;
+			};
+
+			cdf = function(z) {
+				return interpolate(below, z, 0, 1);
+			};
+
+			sf = function(z) {
+				return interpolate(above, z, 1, 0);
+			};
+
+			// probabilities between consecutive cell edges and of the tails below and above them
+			function cells(part, range, n) {
+				var F = part.distribution.cdf(part.params);
+				var S = part.distribution.sf(part.params);
+				var masses = [];
+				var k;
+
+				for (k = 0; k < n; k++) {
+					masses.push(F(range[0] + (k + 1) * h) - F(range[0] + k * h));
+				}
+
+				return {
+					masses: masses,
+					lower: F(range[0]),
+					upper: S(range[0] + n * h)
+				};
+			}
+
+			function spread(masses, weight, offset) {
+				var k;
+
+				for (k = 0; k < masses.length; k++) {
+					p[k + offset] += weight * masses[k];
+				}
+			}
+
+			// cumulative probabilities are known halfway between the midpoints
+			function interpolate(c, z, first, last) {
+				var t = (z - origin) / h - 0.5;
+				var k = Math.floor(t);
+
+				if (k < -1) {
+					return first;
+				} else if (k >= c.length - 1) {
+					return last;
+				}
+
+				return ((k < 0) ? first : c[k]) + (t - k) * (c[k + 1] - ((k < 0) ? first : c[k]));
+			}
+		}
+
+		// cumulative probabilities from below and from above, normalized over the table
+		function cumulate(p, below, above) {
+			var i;
+			var sum = 0;
+			var total = Math.h.sSum(p, function(el) {
+				return el;
+			});
+
+			for (i = 0; i < p.length; i++) {
+				sum += p[i];
+				below.push(sum / total);
+			}
+
+			for (i = p.length - 1, sum = 0; i >= 0; i--) {
+				above[i] = sum / total;
+				sum += p[i];
+			}
+		}
+	},
+
+	/**
+	 * Create an instance of a distribution bound to statistical parameters, which are validated once up front. The frozen instance exposes the functions
+	 * of the distribution without the parameters, its moments as derived from its moment-generating function by Math.p.moments or as given directly by
+	 * the distribution, its median, mode and entropy, its support as described by Math.p.support and the pdf and cdf plot data built by Math.p.buildDF.
+	 *
+	 * @example
+	 * Math.p.create('gamma', { k: 2, theta: 3 }).toJSON()
+	 * // returns { distribution: 'gamma', params: { k: 2, theta: 3 }, mean: 6, variance: 18, skewness: 1.414, kurtosis: 3, support: { lower: { value: 0,
+	 * //   closed: true }, upper: { value: Infinity, closed: true } } }
+	 *
+	 * @param {string} distrType - distribution type as string
+	 * @param {object} params - statistical parameters object
+	 * @return {object} frozen distribution instance
+	 */
+	create: function(distrType, params) {
+		var errors = Math.p.validate(distrType, params);
+		var distribution = Math.p.distribution[distrType];
+		var values = {};
+		var summary;
+		var support;
+		var m;
+
+		if (errors.length) {
+			throw new Math.p.ParamError(distrType, errors);
+		}
+
+		// copy the parameters so that later changes to them do not reach the instance
+		distribution.params.forEach(function(param) {
+			values[param.id] = params[param.id];
+		});
+		Object.freeze(values);
+
+		summary = {
+			median: distribution.median(values),
+			mode: distribution.mode(values),
+			entropy: distribution.entropy(values)
+		};
+
+		support = distribution.support(values);
+		Object.freeze(support.lower);
+		Object.freeze(support.upper);
+		Object.freeze(support);
+
+		m = distribution.mgf(values);
+
+		if (typeof m === 'function') {
+			m = {
+				mean: Math.p.moments.mean(m),
+				variance: Math.p.moments.variance(m),
+				skewness: Math.p.moments.skewness(m),
+				kurtosis: Math.p.moments.kurtosis(m)
+			};
+		}
+
+		return Object.freeze({
+			distribution: distrType,
+			params: values,
+			discrete: distribution.discrete,
+			pdf: distribution.pdf(values),
+			logpdf: distribution.logpdf(values),
+			cdf: distribution.cdf(values),
+			sf: distribution.sf(values),
+			quantile: distribution.quantile(values),
+			mean: m.mean,
+			variance: m.variance,
+			skewness: m.skewness,
+			kurtosis: m.kurtosis,
+			median: summary.median,
+			mode: summary.mode,
+			entropy: summary.entropy,
+			support: support,
+
+			sample: function(size, rng) {
+				return distribution.sample(values, size, rng);
+			},
+
+			plot: function() {
+				return Math.p.buildDF(distrType, values, m);
+			},
+
+			toJSON: function() {
+				return {
+					distribution: distrType,
+					params: values,
+					mean: m.mean,
+					variance: m.variance,
+					skewness: m.skewness,
+					kurtosis: m.kurtosis,
+					median: summary.median,
+					mode: summary.mode,
+					entropy: summary.entropy,
+					support: support
+				};
+			}
+		});
+	},
+
+	/**
+	 * Call method to generate pdf and cdf distribution plots based on a distribution and its parameters and moments.
+	 *
+	 * @param {string|object} distrType - distribution type as string or an object shaped as a distribution, such as one built by Math.p.empirical
+	 * @param {object} params - statistical parameters object
+	 * @param {object} moments - moments object generated via moment-generating function
+	 * @return {object} object of pdf and cdf arrays containing x-y value pairs for plotting
+	 */
+	buildDF: function(distrType, params, moments) {
+		var distr = {
+			pdf: [],
+			cdf: []
+		};
+		var distribution = (typeof distrType === 'string') ? Math.p.distribution[distrType] : distrType;
+		var inc = (distribution.discrete) ? 1 : Math.sqrt(moments.variance) / 100;
+
+		if (isNaN(inc) || Math.abs(inc) > 99999) {
+			inc = 0.01;
+		}
+
+		distr.pdf = Math.p.generatePDF(distrType, params, moments, -inc).concat(Math.p.generatePDF(distrType, params, moments, inc));
+
+		distr.pdf.sort(function(a, b) {
+			if (a.x < b.x) {
+				return -1;
+			} else if (a.x > b.x) {
+				return 1;
+			}
+
+			return 0;
+		});
+
+		distr.cdf = Math.p.generateCDF(distr.pdf, inc);
+
+		return distr;
+	},
+
+	/**
+	 * Generate one side of a pdf numerically until y value becomes negligible with negligible probability left beyond it. Starts at the mean and moves
+	 * outward in the direction of the sign of increment, so that gaps in the support, such as empty histogram bins, are crossed.
+	 *
+	 * @param {string|object} distrType - distribution type as string or an object shaped as a distribution
+	 * @param {object} params - statistical parameters object
+	 * @param {object} moments - moments object generated via moment-generating function
+	 * @param {number} inc - increment to loop over
+	 * @return {array} array of objects containing x-y value pairs
+	 */
+	generatePDF: function(distrType, params, moments, inc) {
+		var value;
+		var gap;
+		var pdf = [];
+		var i = 0;
+		var sum = 0;
+		var v = 0;
+		var start = (inc < 0) ? moments.mean - inc : moments.mean;
+		var distribution = (typeof distrType === 'string') ? Math.p.distribution[distrType] : distrType;
+
+		if (distribution.discrete === true) {
+			start = Math.floor(start);
+		}
+		if (isNaN(moments.mean) || Math.abs(moments.mean) > 99999) {
+			start = 0;
+		}
+
+		while (Math.abs(start - i) <= 10 * moments.variance || i < 99999) {
+			value = distribution.pdf(params)(start - i);
+			gap = !isNaN(value) && value <= 1E-5 && beyond(start - i) > 1E-2;
+
+			if (!gap && (isNaN(value) || value <= 0)) {
+				v += 1;
+			}
+
+			if (v > 10 || isNaN(i / inc) || (!gap && !isNaN(value) && ((value >= 0 && value <= 1E-5)))) {
+				break;
+			}
+
+			if (Math.h.inBounds(start - i, distribution.bounds(params)) && !isNaN(value)) {
+				pdf.push({
+					x: start - i,
+					y: value
+				});
+			}
+
+			i += inc;
+		}
+
+		return pdf;
+
+		// probability on the far side of x in the direction of travel
+		function beyond(x) {
+			return (inc > 0) ? distribution.cdf(params)(x) : distribution.sf(params)(x);
+		}
+	},
+
+	/**
+	 * Generate a cdf based on the summation of pdf values in an array of objects containing x-y coordinate pairs.
+	 *
+	 * @param {array} pdf - distribution array
+	 * @return {array} array of objects containing x-y value pairs
+	 */
+	generateCDF: function(pdf, inc) {
+		var cdf = [];
+		var i = 0;
+		var sum = 0;
+
+		for (i = 0, l = pdf.length; i < l; i++) {
+			sum += pdf[i].y;
+
+			cdf.push({
+				x: pdf[i].x,
+				y: sum * inc
+			});
+		}
+
+		return cdf;
+	},
+
+	/**
+	 * Check statistical parameters against the constraints declared by a distribution: every declared parameter must be a finite number within the
+	 * bounds of its domain, parameters flagged as integer must be integers and any cross-parameter constraints of the distribution must hold. The min
+	 * and max of a parameter only limit its html input and are not enforced.
+	 *
+	 * @example
+	 * Math.p.validate('uniform', { a: 2, b: 1 })
+	 * // returns [{ param: 'a', constraint: 'relation', value: 2, message: 'Lower Bound (a) must be less than Upper Bound (b)' }]
+	 *
+	 * @param {string} distrType - distribution type as string
+	 * @param {object} params - statistical parameters object
+	 * @return {array} objects describing each violated constraint, empty if the parameters are valid
+	 */
+	validate: function(distrType, params) {
+		var distr = Math.p.distribution[distrType];
+		var errors = [];
+
+		if (typeof distr === 'undefined') {
+			return [{
+				constraint: 'distribution',
+				value: distrType,
+				message: 'Unknown distribution type ' + distrType
+			}];
+		}
+
+		params = params || {};
+
+		distr.params.forEach(function(param) {
+			var value = params[param.id];
+			var name = param.title + ' (' + param.id + ')';
+			var lower = param.domain && param.domain.lower;
+			var upper = param.domain && param.domain.upper;
+
+			if (typeof value !== 'number' || !isFinite(value)) {
+				errors.push({
+					param: param.id,
+					constraint: 'type',
+					value: value,
+					message: name + ' must be a finite number'
+				});
+
+				return;
+			}
+
+			if (lower && (value < lower.value || (value === lower.value && !lower.closed))) {
+				errors.push({
+					param: param.id,
+					constraint: 'min',
+					value: value,
+					limit: lower.value,
+					message: name + ' must be ' + ((lower.closed) ? 'at least ' : 'greater than ') + lower.value
+				});
+			}
+			if (upper && (value > upper.value || (value === upper.value && !upper.closed))) {
+				errors.push({
+					param: param.id,
+					constraint: 'max',
+					value: value,
+					limit: upper.value,
+					message: name + ' must be ' + ((upper.closed) ? 'at most ' : 'less than ') + upper.value
+				});
+			}
+			if (param.integer && !Math.h.isInt(value)) {
+				errors.push({
+					param: param.id,
+					constraint: 'integer',
+					value: value,
+					message: name + ' must be an integer'
+				});
+			}
+		});
+
+		// only relate parameters that are valid on their own
+		if (errors.length === 0 && distr.constraints) {
+			distr.constraints.forEach(function(constraint) {
+				if (!constraint.test(params)) {
+					errors.push({
+						param: constraint.param,
+						constraint: 'relation',
+						value: params[constraint.param],
+						message: constraint.message
+					});
+				}
+			});
+		}
+
+		return errors;
+	},
+
+	/**
+	 * Error thrown when a distribution function is built from parameters that violate its constraints.
+	 *
+	 * @constructor
+	 * @param {string} distrType - distribution type as string
+	 * @param {array} errors - violated constraints as returned by Math.p.validate
+	 */
+	ParamError: function(distrType, errors) {
+		this.name = 'ParamError';
+		this.distribution = distrType;
+		this.errors = errors;
+		this.message = 'Invalid ' + distrType + ' parameters: ' + errors.map(function(error) {
+			return error.message;
+		}).join('; ');
+
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(this, Math.p.ParamError);
+		} else {
+			this.stack = new Error(this.message).stack;
+		}
+	},
+
+	/**
+	 * Error thrown when a distribution is registered under a name in use or with a definition that is not shaped as a distribution.
+	 *
+	 * @constructor
+	 * @param {string} name - name the distribution was to be registered under
+	 * @param {array} errors - unmet requirements of the definition, each with a message
+	 */
+	DefinitionError: function(name, errors) {
+		this.name = 'DefinitionError';
+		this.distribution = name;
+		this.errors = errors;
+		this.message = 'Invalid definition of distribution ' + name + ': ' + errors.map(function(error) {
+			return error.message;
+		}).join('; ');
+
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(this, Math.p.DefinitionError);
+		} else {
+			this.stack = new Error(this.message).stack;
+		}
+	},
+
+	/**
+	 * Wrap the functions of a distribution that take statistical parameters so that the parameters are validated first. A Math.p.ParamError listing
+	 * every violated constraint is thrown instead of silently producing NaN.
+	 *
+	 * @param {string} distrType - distribution type as string
+	 */
+	guard: function(distrType) {
+		var distr = Math.p.distribution[distrType];
+
+		['mgf', 'pdf', 'logpdf', 'cdf', 'logcdf', 'sf', 'quantile', 'sample', 'median', 'mode', 'entropy', 'support'].forEach(function(member) {
+			var f = distr[member];
+
+			if (typeof f !== 'function' || f.guarded) {
+				return;
+			}
+
+			distr[member] = function(params) {
+				var errors = Math.p.validate(distrType, params);
+
+				if (errors.length) {
+					throw new Math.p.ParamError(distrType, errors);
+				}
+
+				return f.apply(this, arguments);
+			};
+
+			distr[member].guarded = true;
+		});
+	},
+
+	/**
+	 * Register a distribution so that it can be used by name like the built-in distributions, and tell the listeners added by Math.p.onRegister.
+	 *
+	 * @desc Definitions need description and formulas arrays, a discrete flag, bounds, mgf, pdf and cdf functions and params with valid defaults; the
+	 * rest is derived.
+	 *
+	 * @example
+	 * Math.p.register('triangle', {
+	 * 	description: ['A triangle on [0, c].'],
+	 * 	formulas: ['\\mathbf{pdf} = \\frac{2 (c - x)}{c^2}'],
+	 * 	discrete: false,
+	 * 	bounds: function(params) { return { lower: { value: 0, closed: true }, upper: { value: params.c, closed: true } }; },
+	 * 	params: [{ id: 'c', symbol: 'c', title: 'Width', min: 0.01, max: 100, step: 0.01, value: 1, domain: { lower: { value: 0, closed: false } } }],
+	 * 	mgf: function(params) { return { mean: params.c / 3, variance: params.c * params.c / 18, skewness: 0.5657, kurtosis: -0.6 }; },
+	 * 	pdf: function(params) { return function(x) { return (x < 0 || x > params.c) ? 0 : 2 * (params.c - x) / (params.c * params.c); }; },
+	 * 	cdf: function(params) { return function(x) { return (x <= 0) ? 0 : (x >= params.c) ? 1 : 1 - Math.pow(1 - x / params.c, 2); }; }
+	 * }).quantile({ c: 2 })(0.75)
+	 * // returns 1
+	 *
+	 * @param {string} name - name to register the distribution under
+	 * @param {object} definition - distribution shaped as the members of Math.p.distribution
+	 * @return {object} registered distribution
+	 */
+	register: function(name, definition) {
+		var distr = {};
+		var defaults = {};
+		var errors = [];
+		var members = {
+			description: 'array',
+			formulas: 'array',
+			discrete: 'boolean',
+			bounds: 'function',
+			params: 'array',
+			mgf: 'function',
+			pdf: 'function',
+			cdf: 'function'
+		};
+
+		if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+			errors.push({
+				constraint: 'name',
+				value: name,
+				message: 'Name must be an identifier'
+			});
+		} else if (Object.prototype.hasOwnProperty.call(Math.p.distribution, name)) {
+			errors.push({
+				constraint: 'name',
+				value: name,
+				message: 'A distribution named ' + name + ' is already registered'
+			});
+		} else if (name in Object.prototype) {
+			errors.push({
+				constraint: 'name',
+				value: name,
+				message: 'Name ' + name + ' is reserved by Object.prototype'
+			});
+		}
+
+		definition = definition || {};
+
+		Object.keys(members).forEach(function(member) {
+			var value = definition[member];
+			var type = (Array.isArray(value)) ? 'array' : typeof value;
+
+			if (type !== members[member]) {
+				errors.push({
+					member: member,
+					constraint: 'type',
+					value: type,
+					message: 'Member ' + member + ' must be ' + ((members[member] === 'array') ? 'an array' : 'a ' + members[member])
+				});
+			} else if ((member === 'description' || member === 'formulas') && value.some(function(el) {
+				return typeof el !== 'string';
+			})) {
+				errors.push({
+					member: member,
+					constraint: 'type',
+					value: value,
+					message: 'Member ' + member + ' must only hold strings'
+				});
+			}
+		});
+
+		if (Array.isArray(definition.params)) {
+			definition.params.forEach(function(param, i) {
+				if (typeof param !== 'object' || param === null || typeof param.id !== 'string' || typeof param.title !== 'string' || typeof param.symbol !== 'string' || typeof param.value !== 'number') {
+					errors.push({
+						member: 'params',
+						constraint: 'type',
+						value: param,
+						message: 'Parameter ' + (i + 1) + ' must have a string id, title and symbol and a number value'
+					});
+				} else {
+					defaults[param.id] = param.value;
+				}
+			});
+		}
+
+		if (errors.length) {
+			throw new Math.p.DefinitionError(name, errors);
+		}
+
+		Object.keys(definition).forEach(function(member) {
+			distr[member] = definition[member];
+		});
+
+		distr.title = distr.title || name;
+
+		Math.p.distribution[name] = distr;
+		errors = Math.p.validate(name, defaults);
+
+		if (errors.length) {
+			delete Math.p.distribution[name];
+
+			throw new Math.p.DefinitionError(name, errors.map(function(error) {
+				return {
+					member: 'params',
+					constraint: 'default',
+					value: error.value,
+					message: 'Default ' + error.message
+				};
+			}));
+		}
+
+		if (typeof distr.sf !== 'function') {
+			distr.sf = function(params) {
+				var cdf = distr.cdf(params);
+
+				return function(x) {
+					return 1 - cdf(x);
+				};
+			};
+		}
+
+		if (typeof distr.logpdf !== 'function') {
+			distr.logpdf = function(params) {
+				var pdf = distr.pdf(params);
+
+				return function(x) {
+					return Math.log(pdf(x));
+				};
+			};
+		}
+
+		if (typeof distr.logcdf !== 'function') {
+			distr.logcdf = function(params) {
+				return Math.p.logCDF(name, params);
+			};
+		}
+
+		if (typeof distr.quantile !== 'function') {
+			distr.quantile = function(params) {
+				return Math.p.invertCDF(name, params);
+			};
+		}
+
+		if (typeof distr.sample !== 'function') {
+			distr.sample = function(params, n, rng) {
+				var quantile = distr.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			};
+		}
+
+		if (typeof distr.median !== 'function') {
+			distr.median = function(params) {
+				return distr.quantile(params)(0.5);
+			};
+		}
+
+		if (typeof distr.mode !== 'function') {
+			distr.mode = function(params) {
+				return Math.p.findMode(name, params);
+			};
+		}
+
+		if (typeof distr.entropy !== 'function') {
+			distr.entropy = function(params) {
+				return Math.p.integrateEntropy(name, params);
+			};
+		}
+
+		if (typeof distr.support !== 'function') {
+			distr.support = function(params) {
+				return Math.p.support(name, params);
+			};
+		}
+
+		Math.p.guard(name);
+
+		listeners.forEach(function(listener) {
+			listener(name, distr);
+		});
+
+		return distr;
+	},
+
+	/**
+	 * Add a listener that is called with the name and the distribution each time a distribution is registered, so that lists of distributions can be kept current.
+	 *
+	 * @example
+	 * Math.p.onRegister(function(name) { console.log(name + ' registered'); })
+	 *
+	 * @param {function} listener - function of the name and the registered distribution
+	 */
+	onRegister: function(listener) {
+		listeners.push(listener);
+	},
+
+	/**
+	 * Build a quantile function by numerically inverting the cdf of a distribution. Continuous distributions are solved with Brent's method after
+	 * expanding a bracket outward over the distribution bounds; discrete distributions return the smallest integer k such that cdf(k) >= p.
+	 *
+	 * @example
+	 * Math.p.invertCDF('poisson', { lambda: 4 })(0.5)
+	 * // returns 4
+	 *
+	 * @param {string|object} distrType - distribution type as string or an object shaped as a distribution
+	 * @param {object} params - statistical parameters object
+	 * @return {function} quantile function of a probability between 0 and 1
+	 */
+	invertCDF: function(distrType, params) {
+		var distribution = (typeof distrType === 'string') ? Math.p.distribution[distrType] : distrType;
+		var cdf = distribution.cdf(params);
+		var bounds = distribution.bounds(params);
+		var lower = bounds.lower.value;
+		var upper = bounds.upper.value;
+
+		return function(p) {
+			if (isNaN(p) || p < 0 || p > 1) {
+				return NaN;
+			}
+
+			return (distribution.discrete) ? invDiscrete(p) : invContinuous(p);
+		};
+
+		function invContinuous(p) {
+			var step;
+			var a = isFinite(lower) ? lower : Math.min(-1, upper - 1);
+			var b = isFinite(upper) ? upper : Math.max(1, a + 1);
+
+			if (p === 0) {
+				return lower;
+			}
+			if (p === 1) {
+				return upper;
+			}
+
+			// cdf values are known at the bounds even when the cdf itself is undefined there
+			var f = function(x) {
+				if (x <= lower) {
+					return -p;
+				} else if (x >= upper) {
+					return 1 - p;
+				}
+
+				return cdf(x) - p;
+			};
+
+			for (step = 1; !isFinite(lower) && f(a) > 0 && step < 1E300; step *= 2) {
+				a -= step;
+			}
+			for (step = 1; !isFinite(upper) && f(b) < 0 && step < 1E300; step *= 2) {
+				b += step;
+			}
+
+			return Math.h.root(f, a, b, 1E-300);
+		}
+
+		function invDiscrete(p) {
+			var mid;
+			var lo;
+			var step = 1;
+			var first = (bounds.lower.closed) ? Math.ceil(lower) : Math.floor(lower) + 1;
+			var last = (bounds.upper.closed) ? Math.floor(upper) : Math.ceil(upper) - 1;
+			var hi = isFinite(first) ? first : 0;
+
+			// the cdf of an unbounded support never quite reaches 1
+			if (p === 1) {
+				return last;
+			}
+
+			if (cdf(hi) >= p) {
+				if (isFinite(first)) {
+					return first;
+				}
+
+				// walk down until the bracket contains the step of the cdf
+				for (lo = hi - 1; cdf(lo) >= p; step *= 2) {
+					if (step > 1E15) {
+						return -Infinity;
+					}
+
+					hi = lo;
+					lo -= step;
+				}
+			} else {
+				for (lo = hi; cdf(hi) < p; step *= 2) {
+					if (step > 1E15) {
+						return Infinity;
+					}
+
+					lo = hi;
+					hi += step;
+				}
+			}
+
+			while (hi - lo > 1) {
+				mid = Math.floor((lo + hi) / 2);
+
+				if (cdf(mid) >= p) {
+					hi = mid;
+				} else {
+					lo = mid;
+				}
+			}
+
+			return hi;
+		}
+	},
+
+	/**
+	 * Build a log-cdf function from the cdf and survival function of a distribution. The logarithm of the cdf is taken directly in the lower half of the
+	 * distribution and through the survival function in the upper half, where the cdf is too close to 1 to carry any precision.
+	 *
+	 * @example
+	 * Math.p.logCDF('gamma', { k: 3, theta: 2 })(100)
+	 * // returns -2.509303552201055e-19
+	 *
+	 * @param {string} distrType - distribution type as string
+	 * @param {object} params - statistical parameters object
+	 * @return {function} log-cdf function of the distribution variable
+	 */
+	logCDF: function(distrType, params) {
+		var cdf = Math.p.distribution[distrType].cdf(params);
+		var sf = Math.p.distribution[distrType].sf(params);
+
+		return function(x) {
+			var c = cdf(x);
+
+			return (c > 0.5) ? Math.h.log1p(-sf(x)) : Math.log(c);
+		};
+	},
+
+	/**
+	 * Describe the support of a distribution, that is the values its variable can take: those within its bounds and, for a discrete distribution, on the
+	 * lattice of the integers.
+	 *
+	 * @example
+	 * Math.p.support('binomial', { n: 4, p: 0.5 }).contains(2.5)
+	 * // returns false
+	 *
+	 * @param {string|object} distrType - distribution type as string or an object shaped as a distribution
+	 * @param {object} params - statistical parameters object
+	 * @return {object} lower and upper bounds, the step of the lattice, 1 for discrete and 0 for continuous distributions, and a function testing
+	 * whether a value lies in the support
+	 */
+	support: function(distrType, params) {
+		var distribution = (typeof distrType === 'string') ? Math.p.distribution[distrType] : distrType;
+		var bounds = distribution.bounds(params);
+
+		return {
+			lower: bounds.lower,
+			upper: bounds.upper,
+			step: (distribution.discrete) ? 1 : 0,
+
+			contains: function(x) {
+				return Math.h.inBounds(x, bounds) && (!distribution.discrete || Math.h.isInt(x));
+			}
+		};
+	},
+
+	/**
+	 * Find the mode of a distribution numerically. Discrete distributions are searched value by value between extreme quantiles; continuous
+	 * distributions are evaluated at quantiles spread over the distribution and at its bounds, and the best of these is refined by golden-section search
+	 * between its neighbours. Where several values share the highest density the lowest is returned.
+	 *
+	 * @example
+	 * Math.p.findMode('gamma', { k: 3, theta: 2 })
+	 * // returns 4.000000000001963
+	 *
+	 * @param {string|object} distrType - distribution type as string or an object shaped as a distribution
+	 * @param {object} params - statistical parameters object
+	 * @return {number} mode
+	 */
+	findMode: function(distrType, params) {
+		var distribution = (typeof distrType === 'string') ? Math.p.distribution[distrType] : distrType;
+		var pdf = distribution.pdf(params);
+		var quantile = distribution.quantile(params);
+		var bounds = distribution.bounds(params);
+		var x = [];
+		var best = 0;
+		var r = (Math.sqrt(5) - 1) / 2;
+		var last;
+		var a;
+		var b;
+		var c;
+		var d;
+		var k;
+		var i;
+
+		if (distribution.discrete) {
+			last = quantile(1 - 1E-12);
+
+			for (k = quantile(1E-12), best = k, i = 0; k <= last && i < 1E6; k++, i++) {
+				if (pdf(k) > pdf(best)) {
+					best = k;
+				}
+			}
+
+			return best;
+		}
+
+		x.push(bounds.lower.value);
+
+		for (i = 1; i < 200; i++) {
+			x.push(quantile(i / 200));
+		}
+
+		x.push(bounds.upper.value);
+
+		x = x.filter(function(el) {
+			return isFinite(el) && !isNaN(pdf(el));
+		});
+
+		for (i = 1; i < x.length; i++) {
+			if (pdf(x[i]) > pdf(x[best])) {
+				best = i;
+			}
+		}
+
+		a = x[Math.max(0, best - 1)];
+		b = x[Math.min(x.length - 1, best + 1)];
+
+		// golden-section search for the maximum between the neighbours of the best point
+		for (i = 0; i < 100 && b - a > 1E-12 * (1 + Math.abs(a)); i++) {
+			c = b - r * (b - a);
+			d = a + r * (b - a);
+
+			if (pdf(c) >= pdf(d)) {
+				b = d;
+			} else {
+				a = c;
+			}
+		}
+
+		return (pdf((a + b) / 2) > pdf(x[best])) ? (a + b) / 2 : x[best];
+	},
+
+	/**
+	 * Calculate the entropy of a distribution numerically, in nats, as the expected value of the negative log-density. Discrete distributions are summed
+	 * between extreme quantiles; continuous distributions are integrated by the midpoint rule between quantiles spread over the body and far into the
+	 * tails, as the differential entropy.
+	 *
+	 * @example
+	 * Math.p.integrateEntropy('gaussian', { mean: 0, std: 1 })
+	 * // returns 1.4189385332045258
+	 *
+	 * @param {string|object} distrType - distribution type as string or an object shaped as a distribution
+	 * @param {object} params - statistical parameters object
+	 * @return {number} entropy
+	 */
+	integrateEntropy: function(distrType, params) {
+		var distribution = (typeof distrType === 'string') ? Math.p.distribution[distrType] : distrType;
+		var pdf = distribution.pdf(params);
+		var quantile = distribution.quantile(params);
+		var tails = [1E-12, 1E-9, 1E-6, 1E-4, 1E-3, 1E-2];
+		var p = [0].concat(tails);
+		var sum = 0;
+		var last;
+		var edges;
+		var width;
+		var k;
+		var i;
+		var j;
+
+		if (distribution.discrete) {
+			last = quantile(1 - 1E-12);
+
+			for (k = quantile(1E-12), i = 0; k <= last && i < 1E6; k++, i++) {
+				add(k, 1);
+			}
+
+			return sum;
+		}
+
+		for (i = 1; i < 50; i++) {
+			p.push(i / 50);
+		}
+
+		edges = p.concat(tails.reverse().map(function(el) {
+			return 1 - el;
+		}), [1]).map(quantile).filter(isFinite);
+
+		for (i = 1; i < edges.length; i++) {
+			width = (edges[i] - edges[i - 1]) / 40;
+
+			for (j = 0; j < 40 && width > 0; j++) {
+				add(edges[i - 1] + (j + 0.5) * width, width);
+			}
+		}
+
+		return sum;
+
+		function add(x, w) {
+			var f = pdf(x);
+
+			if (f > 0 && isFinite(f)) {
+				sum -= w * f * Math.log(f);
+			}
+		}
+	},
+
+	/**
+	 * Draw an array of random variates by repeatedly calling a generator of single variates.
+	 *
+	 * @example
+	 * Math.p.draw(3, Math.h.createRandom(42), function(rng) { return rng() < 0.5 ? 0 : 1; })
+	 * // returns [0, 1, 1]
+	 *
+	 * @param {integer} [n] - number of variates to draw, defaults to 1
+	 * @param {function|object} [rng] - function returning uniform random numbers in [0, 1) or a generator created by Math.h.createRandom, defaults to
+	 * Math.h.random
+	 * @param {function} f - function of the uniform generator returning a single variate
+	 * @return {array} variates
+	 */
+	draw: function(n, rng, f) {
+		var i;
+		var x = [];
+
+		if (typeof n === 'undefined') {
+			n = 1;
+		}
+		if (typeof rng === 'undefined') {
+			rng = Math.h.random;
+		} else if (typeof rng === 'object') {
+			rng = rng.next;
+		}
+
+		for (i = 0; i < n; i++) {
+			x.push(f(rng));
+		}
+
+		return x;
+	},
+
+	/**
+	 * Extract the observed values from a sample, which may be either an array of numbers or an array of x-y coordinate objects whose y properties hold
+	 * the observations.
+	 *
+	 * @example
+	 * Math.p.values([{ x: 0, y: 0.1 }, { x: 0.5, y: 12.53 }, { x: 4, y: 5 }])
+	 * // returns [0.1, 12.53, 5]
+	 *
+	 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+	 * @return {array} observed values
+	 */
+	values: function(samples) {
+		return samples.map(function(el) {
+			return (typeof el === 'object') ? el.y : el;
+		});
+	},
+
+	/**
+	 * Calculate the log-likelihood of statistical parameters given a sample, that is the sum of the log-densities of the observations.
+	 *
+	 * @example
+	 * Math.p.logLikelihood('exponential', { lambda: 0.5 }, [1, 2, 3])
+	 * // returns -5.079441541679836
+	 *
+	 * @param {string} distrType - distribution type as string
+	 * @param {object} params - statistical parameters object
+	 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+	 * @return {number} log-likelihood
+	 */
+	logLikelihood: function(distrType, params, samples) {
+		var logpdf = Math.p.distribution[distrType].logpdf(params);
+
+		return Math.h.sSum(Math.p.values(samples), function(el) {
+			return logpdf(el);
+		});
+	},
+
+	/**
+	 * Minimise a function of statistical parameters by Nelder-Mead over the declared domains of the parameters varied, each of which is mapped onto the
+	 * real line through a logit transform when bounded on both sides, a log transform when bounded on one side and left as is otherwise. A coarse grid
+	 * is searched first when the function is infinite at the starting values.
+	 *
+	 * @example
+	 * Math.p.minimizeParams(Math.p.distribution.gaussian.params.slice(1), function(params) { return Math.pow(params.std - 2, 2); }, { mean: 0, std: 50 }).params
+	 * // returns { mean: 0, std: 2.0000000000004103 }
+	 *
+	 * @param {array} params - declared parameters to vary
+	 * @param {function} f - function of a statistical parameters object
+	 * @param {object} values - statistical parameters object holding the starting values and the values of the parameters not varied
+	 * @param {object} [options] - tol and max as passed on to Math.h.minimize
+	 * @return {object} minimising statistical parameters, function value, number of iterations and whether the tolerance was reached
+	 */
+	minimizeParams: function(params, f, values, options) {
+		var i;
+		var u;
+		var u0;
+		var best;
+		var value;
+		var minimum;
+		var grid = [-8, -4, -2, -1, 0, 1, 2, 4, 8];
+		var result = {
+			converged: true,
+			iterations: 0
+		};
+
+		options = options || {};
+
+		u0 = params.map(function(param) {
+			var t;
+			var value = values[param.id];
+			var lower = param.domain && param.domain.lower;
+			var upper = param.domain && param.domain.upper;
+
+			if (lower && upper) {
+				t = (value - lower.value) / (upper.value - lower.value);
+				t = Math.min(Math.max(t, 1E-3), 1 - 1E-3);
+
+				return Math.log(t / (1 - t));
+			} else if (lower) {
+				return Math.log((value > lower.value) ? value - lower.value : 1);
+			} else if (upper) {
+				return Math.log((value < upper.value) ? upper.value - value : 1);
+			}
+
+			return value;
+		});
+
+		// search a coarse grid when the starting point is outside the support of the function
+		if (params.length && !isFinite(g(u0))) {
+			best = Infinity;
+
+			for (i = 0; i < Math.pow(grid.length, params.length); i++) {
+				u = gridPoint(i);
+				value = g(u);
+
+				if (value < best) {
+					best = value;
+					u0 = u;
+				}
+			}
+		}
+
+		// restart once from the minimum so a collapsed simplex cannot stop the search early
+		for (i = 0; i < 2 && params.length; i++) {
+			minimum = Math.h.minimize(g, u0, {
+				tol: options.tol,
+				max: options.max,
+				step: 1
+			});
+
+			u0 = minimum.x;
+			result.converged = minimum.converged;
+			result.iterations += minimum.iterations;
+		}
+
+		result.params = transform(u0);
+		result.value = f(result.params);
+
+		return result;
+
+		function transform(u) {
+			var x = {};
+
+			Object.keys(values).forEach(function(id) {
+				x[id] = values[id];
+			});
+			params.forEach(function(param, k) {
+				var lower = param.domain && param.domain.lower;
+				var upper = param.domain && param.domain.upper;
+
+				if (lower && upper) {
+					x[param.id] = lower.value + (upper.value - lower.value) / (1 + Math.exp(-u[k]));
+				} else if (lower) {
+					x[param.id] = lower.value + Math.exp(u[k]);
+				} else if (upper) {
+					x[param.id] = upper.value - Math.exp(u[k]);
+				} else {
+					x[param.id] = u[k];
+				}
+			});
+
+			return x;
+		}
+
+		function g(u) {
+			return f(transform(u));
+		}
+
+		function gridPoint(i) {
+			return params.map(function(param, k) {
+				return grid[Math.floor(i / Math.pow(grid.length, k)) % grid.length];
+			});
+		}
+	},
+
+	/**
+	 * Estimate the statistical parameters of a distribution from a sample by maximum likelihood. Distributions defining an mle function are fitted in
+	 * closed form; all others are fitted by Nelder-Mead on the negative log-likelihood over the declared domain of each parameter, starting from the
+	 * method-of-moments estimates where available, and integer parameters are profiled by a neighbourhood search. Standard errors are taken from the
+	 * inverse of the observed information matrix, which is the numerical hessian of the negative log-likelihood at the estimate.
+	 *
+	 * @example
+	 * Math.p.fit('poisson', [2, 4, 3, 1, 5])
+	 * // returns { distribution: 'poisson', params: { lambda: 3 }, logLikelihood: -8.97126789289635, standardErrors: { lambda: 0.7745966647154774 },
+	 * //   method: 'closed form', converged: true, iterations: 0, boundary: [] }
+	 *
+	 * @param {string} distrType - distribution type as string
+	 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+	 * @param {object} [options] - fixed as parameters to hold at the given values, start as starting values for the numerical search overriding the
+	 * method-of-moments estimates and declared defaults, tol and max as passed on to Math.h.minimize
+	 * @return {object} estimated parameters with their log-likelihood and standard errors, the method used, whether it converged, the number of
+	 * iterations taken and the ids of parameters estimated on a bound of their domain
+	 */
+	fit: function(distrType, samples, options) {
+		var distr = Math.p.distribution[distrType];
+		var x = Math.p.values(samples);
+		var fixed;
+		var start;
+		var free;
+		var continuous;
+		var integers;
+		var estimate;
+		var guess;
+
+		if (typeof distr === 'undefined') {
+			throw new Math.p.ParamError(distrType, Math.p.validate(distrType));
+		}
+
+		options = options || {};
+		fixed = options.fixed || {};
+		start = options.start || {};
+		free = distr.params.filter(function(param) {
+			return !fixed.hasOwnProperty(param.id);
+		});
+		continuous = free.filter(function(param) {
+			return !param.integer;
+		});
+		integers = free.filter(function(param) {
+			return param.integer;
+		});
+		guess = (distr.matchMoments && x.length > 1) ? Math.p.fitMoments(distrType, x) : { matched: false };
+
+		if (distr.mle && free.length === distr.params.length) {
+			estimate = {
+				params: distr.mle(x),
+				method: 'closed form',
+				converged: true,
+				iterations: 0
+			};
+			estimate.value = nll(estimate.params);
+		}
+
+		if (!estimate) {
+			estimate = profile();
+		}
+
+		return {
+			distribution: distrType,
+			params: estimate.params,
+			logLikelihood: -estimate.value,
+			standardErrors: standardErrors(estimate.params),
+			method: estimate.method,
+			converged: estimate.converged,
+			iterations: estimate.iterations,
+			boundary: free.filter(function(param) {
+				var value = estimate.params[param.id];
+
+				return [param.domain && param.domain.lower, param.domain && param.domain.upper].some(function(bound) {
+					return bound && Math.abs(value - bound.value) <= 1E-6 * Math.max(1, Math.abs(bound.value));
+				});
+			}).map(function(param) {
+				return param.id;
+			})
+		};
+
+		// negative log-likelihood, infinite outside the declared constraints
+		function nll(params) {
+			var value;
+
+			if (Math.p.validate(distrType, params).length) {
+				return Infinity;
+			}
+
+			value = -Math.p.logLikelihood(distrType, params, x);
+
+			return isNaN(value) ? Infinity : value;
+		}
+
+		// complete the given values with the fixed parameters and the starting values of the others
+		function merge(values) {
+			var params = {};
+
+			distr.params.forEach(function(param) {
+				if (fixed.hasOwnProperty(param.id)) {
+					params[param.id] = fixed[param.id];
+				} else if (values.hasOwnProperty(param.id)) {
+					params[param.id] = values[param.id];
+				} else if (start.hasOwnProperty(param.id)) {
+					params[param.id] = start[param.id];
+				} else {
+					params[param.id] = (guess.matched) ? guess.params[param.id] : param.value;
+				}
+			});
+
+			return params;
+		}
+
+		// maximise over the continuous parameters with the integer parameters held at the given values
+		function optimise(values) {
+			var result = Math.p.minimizeParams(continuous, nll, merge(values), options);
+
+			result.method = 'nelder-mead';
+
+			return result;
+		}
+
+		function profile() {
+			var values = {};
+			var best;
+			var improved = true;
+
+			integers.forEach(function(param) {
+				values[param.id] = merge({})[param.id];
+			});
+
+			best = optimise(values);
+
+			// integer parameters usually bound the support, so grow them until the sample is possible
+			integers.forEach(function(param) {
+				var i;
+				var upper = (param.domain && param.domain.upper) ? param.domain.upper.value : Infinity;
+
+				for (i = 0; i < 64 && !isFinite(best.value) && values[param.id] < upper; i++) {
+					values[param.id] = Math.min(upper, Math.max(1, 2 * values[param.id]));
+					best = optimise(values);
+				}
+			});
+
+			while (improved) {
+				improved = integers.filter(climb).length > 0;
+			}
+
+			return best;
+
+			// move an integer parameter to a neighbouring value if that raises the likelihood
+			function climb(param) {
+				return [-1, 1].filter(function(step) {
+					var candidate;
+					var trial = {};
+
+					Object.keys(values).forEach(function(id) {
+						trial[id] = values[id];
+					});
+					trial[param.id] += step;
+
+					if (Math.p.validate(distrType, merge(trial)).some(function(error) {
+						return error.param === param.id;
+					})) {
+						return false;
+					}
+
+					candidate = optimise(trial);
+
+					if (candidate.value < best.value) {
+						candidate.iterations += best.iterations;
+						best = candidate;
+						values = trial;
+
+						return true;
+					}
+
+					return false;
+				}).length > 0;
+			}
+		}
+
+		function standardErrors(params) {
+			var se = {};
+			var covariance;
+			var theta = continuous.map(function(param) {
+				return params[param.id];
+			});
+			var H = Math.h.hessian(function(theta) {
+				var values = {};
+
+				continuous.forEach(function(param, k) {
+					values[param.id] = theta[k];
+				});
+				integers.forEach(function(param) {
+					values[param.id] = params[param.id];
+				});
+
+				return nll(merge(values));
+			}, theta);
+
+			covariance = (theta.length) ? Math.h.invert(H) : [];
+
+			continuous.forEach(function(param, k) {
+				se[param.id] = (covariance[k][k] > 0 && isFinite(covariance[k][k])) ? Math.sqrt(covariance[k][k]) : NaN;
+			});
+			integers.forEach(function(param) {
+				se[param.id] = NaN;
+			});
+
+			return se;
+		}
+	},
+
+	/**
+	 * Estimate the parameters of a distribution by matching as many sample moments as it has parameters.
+	 *
+	 * @desc Solved in closed form by matchMoments where defined, numerically otherwise. Violated constraints are reported; without finite moments the
+	 * params are NaN.
+	 *
+	 * @example
+	 * Math.p.fitMoments('binomial', [4, 5, 6]).params
+	 * // returns { p: 0.8333333333333334, n: 6 }
+	 *
+	 * @param {string} distrType - distribution type as string
+	 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+	 * @return {object} estimated params, sample moments, whether they are matched, violated constraints as returned by Math.p.validate, and the method
+	 */
+	fitMoments: function(distrType, samples) {
+		var distr = Math.p.distribution[distrType];
+		var x = Math.p.values(samples);
+		var mean = Math.h.sSum(x, function(el) {
+			return el;
+		}) / x.length;
+		var sample = {
+			mean: mean,
+			variance: central(2)
+		};
+		var names = ['mean', 'variance', 'skewness', 'kurtosis'];
+		var params;
+		var method;
+		var errors;
+		var minimum;
+
+		if (typeof distr === 'undefined') {
+			throw new Math.p.ParamError(distrType, Math.p.validate(distrType));
+		}
+
+		sample.skewness = central(3) / Math.pow(sample.variance, 1.5);
+		sample.kurtosis = central(4) / Math.pow(sample.variance, 2) - 3;
+
+		if (distr.matchMoments) {
+			params = distr.matchMoments(sample);
+			method = 'closed form';
+		} else {
+			params = {};
+			distr.params.forEach(function(param) {
+				params[param.id] = param.value;
+			});
+
+			minimum = Math.p.minimizeParams(distr.params, distance, params);
+			params = minimum.params;
+			method = 'nelder-mead';
+
+			// the search never left the default parameters, so they say nothing about the sample
+			if (!isFinite(minimum.value)) {
+				distr.params.forEach(function(param) {
+					params[param.id] = NaN;
+				});
+
+				return {
+					distribution: distrType,
+					params: params,
+					sampleMoments: sample,
+					matched: false,
+					errors: [{
+						constraint: 'moments',
+						value: minimum.value,
+						message: 'No ' + distrType + ' parameters give finite moments to match'
+					}],
+					method: method
+				};
+			}
+		}
+
+		errors = Math.p.validate(distrType, params);
+
+		// a numerical solution may only come close to the sample moments
+		if (errors.length === 0 && method === 'nelder-mead' && (isNaN(minimum.value) || minimum.value > 1E-6)) {
+			errors.push({
+				constraint: 'moments',
+				value: minimum.value,
+				message: 'No ' + distrType + ' parameters match the sample moments'
+			});
+		}
+
+		return {
+			distribution: distrType,
+			params: params,
+			sampleMoments: sample,
+			matched: errors.length === 0,
+			errors: errors,
+			method: method
+		};
+
+		function central(k) {
+			return Math.h.sSum(x, function(el) {
+				return Math.pow(el - mean, k);
+			}) / x.length;
+		}
+
+		// sum of squared differences between distribution and sample moments, each relative to the spread of the sample
+		function distance(params) {
+			var m;
+			var theory;
+			var matched = names.slice(0, distr.params.length);
+			var scale = {
+				mean: Math.sqrt(sample.variance),
+				variance: sample.variance,
+				skewness: 1,
+				kurtosis: 1
+			};
+
+			if (Math.p.validate(distrType, params).length) {
+				return Infinity;
+			}
+
+			m = distr.mgf(params);
+
+			// derive the first two moments without the rounding of Math.p.moments so that the search sees a smooth surface
+			if (typeof m === 'function') {
+				theory = {
+					mean: Math.h.derivative(m, 1, 0)
+				};
+				theory.variance = Math.h.derivative(m, 2, 0) - Math.pow(theory.mean, 2);
+
+				if (matched.length > 2) {
+					theory.skewness = Math.p.moments.skewness(m);
+					theory.kurtosis = Math.p.moments.kurtosis(m);
+				}
+			} else {
+				theory = m;
+			}
+
+			return Math.h.sSum(matched, function(name) {
+				var d = (theory[name] - sample[name]) / scale[name];
+
+				return isNaN(d) ? Infinity : d * d;
+			});
+		}
+	},
+
+	/**
+	 * Fit a finite mixture of k gaussian or exponential distributions to a sample by expectation-maximization. The components start from the maximum
+	 * likelihood estimates of k groups of consecutive sorted observations, which keeps the fit reproducible, and are returned in order of increasing
+	 * mean. The variance of a gaussian component is kept above a millionth of the sample variance so that it cannot collapse onto a single observation.
+	 *
+	 * @example
+	 * Math.p.fitMixture('exponential', [0.1, 0.2, 0.3, 0.5, 4, 6, 9, 12], 2).components
+	 * // returns [{ distr: 'exponential', params: { lambda: 3.784713213488894 }, weight: 0.4342558617949775 }, { distr: 'exponential',
+	 * //   params: { lambda: 0.1451459444473972 }, weight: 0.5657441382050226 }]
+	 *
+	 * @param {string} distrType - distribution type of the components, gaussian or exponential
+	 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+	 * @param {integer} k - number of components
+	 * @param {object} [options] - tol as the relative change in log-likelihood at which to stop, defaults to 1E-8, and max as the maximum number of
+	 * iterations, defaults to 1000
+	 * @return {object} fitted components, the mixture built from them, log-likelihood, number of iterations and whether the tolerance was reached
+	 */
+	fitMixture: function(distrType, samples, k, options) {
+		var x = Math.p.values(samples);
+		var n = x.length;
+		var distr = Math.p.distribution[distrType];
+		var tol;
+		var max;
+		var weights = [];
+		var params = [];
+		var r = [];
+		var ll = -Infinity;
+		var previous;
+		var converged = false;
+		var iterations = 0;
+		var components;
+		var sorted;
+		var overall;
+		var floor;
+		var j;
+
+		if (distrType !== 'gaussian' && distrType !== 'exponential') {
+			throw new Math.p.ParamError(distrType, [{
+				constraint: 'distribution',
+				value: distrType,
+				message: 'Mixtures of ' + distrType + ' distributions cannot be fitted, only gaussian or exponential'
+			}]);
+		}
+		if (!Math.h.isInt(k) || k < 1 || k > n) {
+			throw new Math.p.ParamError(distrType, [{
+				constraint: 'components',
+				value: k,
+				message: 'Number of components must be an integer between 1 and the sample size ' + n
+			}]);
+		}
+
+		options = options || {};
+		tol = options.tol || 1E-8;
+		max = options.max || 1000;
+
+		sorted = x.slice().sort(function(a, b) {
+			return a - b;
+		});
+
+		overall = estimate(x.map(function(el) {
+			return {
+				x: el,
+				w: 1
+			};
+		}));
+		floor = 1E-6 * Math.pow(overall.std, 2) || Number.MIN_VALUE;
+
+		for (j = 0; j < k; j++) {
+			weights.push(1 / k);
+			params.push(estimate(sorted.slice(Math.floor(j * n / k), Math.floor((j + 1) * n / k)).map(function(el) {
+				return {
+					x: el,
+					w: 1
+				};
+			})));
+		}
+
+		while (iterations < max) {
+			previous = ll;
+			ll = expectation();
+			iterations++;
+
+			if (Math.abs(ll - previous) <= tol * (1 + Math.abs(ll))) {
+				converged = true;
+				break;
+			}
+
+			for (j = 0; j < k; j++) {
+				weights[j] = Math.h.sSum(r, column(j)) / n;
+				params[j] = estimate(x.map(pair(j)));
+			}
+		}
+
+		// the last estimates were not scored when the iterations ran out
+		if (!converged) {
+			ll = expectation();
+		}
+
+		components = params.map(function(el, j) {
+			return {
+				distr: distrType,
+				params: el,
+				weight: weights[j]
+			};
+		}).sort(function(a, b) {
+			return mean(a.params) - mean(b.params);
+		});
+
+		return {
+			distribution: distrType,
+			components: components,
+			mixture: Math.p.mixture(components),
+			logLikelihood: ll,
+			method: 'em',
+			converged: converged,
+			iterations: iterations
+		};
+
+		// responsibilities of the components for each observation, returning the log-likelihood
+		function expectation() {
+			var logpdf = params.map(function(el) {
+				return distr.logpdf(el);
+			});
+
+			r = [];
+
+			return Math.h.sSum(x, function(el) {
+				var l = logpdf.map(function(f, j) {
+					return Math.log(weights[j]) + f(el);
+				});
+				var top = Math.max.apply(Math, l);
+				var sum = Math.h.sSum(l, function(v) {
+					return Math.exp(v - top);
+				});
+
+				r.push(l.map(function(v) {
+					return Math.exp(v - top) / sum;
+				}));
+
+				return top + Math.log(sum);
+			});
+		}
+
+		function column(j) {
+			return function(row) {
+				return row[j];
+			};
+		}
+
+		function pair(j) {
+			return function(el, i) {
+				return {
+					x: el,
+					w: r[i][j]
+				};
+			};
+		}
+
+		// weighted maximum likelihood estimates, taking those of the whole sample for a component left without weight
+		function estimate(pairs) {
+			var w = Math.h.sSum(pairs, function(el) {
+				return el.w;
+			});
+			var m = Math.h.sSum(pairs, function(el) {
+				return el.w * el.x;
+			}) / w;
+			var v;
+
+			if (isNaN(m)) {
+				return (distrType === 'gaussian') ? {
+					mean: overall.mean,
+					std: overall.std
+				} : {
+					lambda: overall.lambda
+				};
+			}
+
+			if (distrType === 'gaussian') {
+				v = Math.h.sSum(pairs, function(el) {
+					return el.w * Math.pow(el.x - m, 2);
+				}) / w;
+
+				return {
+					mean: m,
+					std: Math.sqrt((overall) ? Math.max(v, floor) : v)
+				};
+			}
+
+			return {
+				lambda: 1 / m
+			};
+		}
+
+		function mean(values) {
+			return (distrType === 'gaussian') ? values.mean : 1 / values.lambda;
+		}
+	},
+
+	/**
+	 * @namespace
+	 * @description define moments
+	 */
+	moments: {
+		/**
+		 * Calculate the mean of a moment generating function via numerical derivation. The mean approximates the statistical norm or average or expected value.
+		 *
+		 * @example
+		 * Math.p.moments.mean(function(t) { return Math.sqrt(t + 0.1); })
+		 * // returns 1.581
+		 *
+		 * @param {function} f - single-variable function
+		 * @return {number} mean
+		 */
+		mean: function(f) {
+			return Math.h.round(Math.h.derivative(f, 1, 0), 3);
+		},
+
+		/**
+		 * Calculate the variance of a moment generating function via numerical derivation. Variance is the second moment around the mean; the expected value of the square of the deviations of a random variable from its mean value.
+		 *
+		 * @example
+		 * Math.p.moments.variance(function(t) { return Math.sqrt(t + 0.1); })
+		 * // returns -10.406
+		 *
+		 * @param {function} f - single-variable function
+		 * @return {number} variance
+		 */
+		variance: function(f) {
+			return Math.h.round(Math.h.derivative(f, 2, 0) - Math.pow(Math.h.derivative(f, 1, 0), 2), 3);
+		},
+
+		/**
+		 * Calculate the skewness of a moment generating function via numerical derivation. Skewness is a measure of the degree of asymmetry of a distribution. If the left tail is more pronounced than the right tail, the function is said to have negative skewness. If the reverse is true, it has positive skewness. If the two are equal, it has zero skewness.
+		 *
+		 * @example
+		 * Math.p.moments.skewness(function(t) { return Math.sqrt(t + 0.1); })
+		 * // returns NaN
+		 *
+		 * @param {function} f - single-variable function
+		 * @return {number} skewness
+		 */
+		skewness: function(f) {
+			return Math.h.round((Math.h.derivative(f, 3, 0) - 3 * Math.h.derivative(f, 1, 0) * Math.h.derivative(f, 2, 0) + 2 * Math.pow(Math.h.derivative(f, 1, 0), 3)) / Math.pow(Math.h.derivative(f, 2, 0) - Math.pow(Math.h.derivative(f, 1, 0), 2), 1.5), 3);
+		},
+
+		/**
+		 * Calculate the kurtosis of a moment generating function via numerical derivation. Kurtosis is the degree of peakedness of a distribution, defined as a normalized form of the fourth central moment of a distribution.
+		 *
+		 * @example
+		 * Math.p.moments.kurtosis(function(t) { return Math.sqrt(t + 0.1); })
+		 * // returns -38.575
+		 *
+		 * @param {function} f - single-variable function
+		 * @return {number} kurtosis
+		 */
+		kurtosis: function(f) {
+			return Math.h.round((Math.h.derivative(f, 4, 0) - 4 * Math.h.derivative(f, 1, 0) * Math.h.derivative(f, 3, 0) + 6 * Math.h.derivative(f, 2, 0) * Math.pow(Math.h.derivative(f, 1, 0), 2) - 3 * Math.pow(Math.h.derivative(f, 1, 0), 4)) / Math.pow(Math.h.derivative(f, 2, 0) - Math.pow(Math.h.derivative(f, 1, 0), 2), 2) - 3, 3);
+		}
+
+	},
+
+	/**
+	 * @namespace
+	 * @description define generators of standard random variates from which the samplers of the distributions are built; each takes a function returning
+	 * uniform random numbers in [0, 1)
+	 */
+	variates: {
+		/**
+		 * Generate a uniform random variate on the open interval (0, 1) by rejecting exact zeros, so that it is always safe to take its logarithm.
+		 *
+		 * @param {function} rng - uniform random number generator
+		 * @return {number} variate
+		 */
+		uniform: function(rng) {
+			var u;
+
+			do {
+				u = rng();
+			} while (u === 0);
+
+			return u;
+		},
+
+		/**
+		 * Generate a standard normal random variate with the Box-Muller transform.
+		 *
+		 * @param {function} rng - uniform random number generator
+		 * @return {number} variate
+		 */
+		gaussian: function(rng) {
+			return Math.sqrt(-2 * Math.log(Math.p.variates.uniform(rng))) * Math.cos(2 * Math.PI * rng());
+		},
+
+		/**
+		 * Generate a gamma random variate with unit scale using the squeeze method of Marsaglia and Tsang. Shapes below one are boosted by one and
+		 * corrected with a power of a uniform variate.
+		 *
+		 * @param {number} k - shape
+		 * @param {function} rng - uniform random number generator
+		 * @return {number} variate
+		 */
+		gamma: function(k, rng) {
+			var x;
+			var u;
+			var v;
+			var d = k - 1 / 3;
+			var c;
+
+			if (k < 1) {
+				return Math.p.variates.gamma(k + 1, rng) * Math.pow(Math.p.variates.uniform(rng), 1 / k);
+			}
+
+			c = 1 / Math.sqrt(9 * d);
+
+			while (true) {
+				do {
+					x = Math.p.variates.gaussian(rng);
+					v = 1 + c * x;
+				} while (v <= 0);
+
+				v = v * v * v;
+				u = Math.p.variates.uniform(rng);
+
+				if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+					return d * v;
+				}
+			}
+		},
+
+		/**
+		 * Generate a poisson random variate. Small means use sequential inversion of the cdf and larger means use the transformed rejection method PTRS of Hormann.
+		 *
+		 * @param {number} lambda - mean
+		 * @param {function} rng - uniform random number generator
+		 * @return {integer} variate
+		 */
+		poisson: function(lambda, rng) {
+			var k;
+			var u;
+			var v;
+			var us;
+			var p;
+			var s;
+			var b = 0.931 + 2.53 * Math.sqrt(lambda);
+			var a = -0.059 + 0.02483 * b;
+			var invAlpha = 1.1239 + 1.1328 / (b - 3.4);
+			var vr = 0.9277 - 3.6224 / (b - 2);
+
+			if (lambda < 10) {
+				k = 0;
+				p = Math.exp(-lambda);
+				s = p;
+				u = rng();
+
+				while (u > s && p > 0) {
+					k += 1;
+					p *= lambda / k;
+					s += p;
+				}
+
+				return k;
+			}
+
+			while (true) {
+				u = rng() - 0.5;
+				v = rng();
+				us = 0.5 - Math.abs(u);
+				k = Math.floor((2 * a / us + b) * u + lambda + 0.43);
+
+				if (us >= 0.07 && v <= vr) {
+					return k;
+				}
+				if (k < 0 || (us < 0.013 && v > us)) {
+					continue;
+				}
+				if (Math.log(v) + Math.log(invAlpha) - Math.log(a / (us * us) + b) <= -lambda + k * Math.log(lambda) - Math.h.lngamma(k + 1)) {
+					return k;
+				}
+			}
+		},
+
+		/**
+		 * Generate a binomial random variate. Small expected counts use sequential inversion of the cdf and larger ones use the transformed rejection
+		 * method BTRS of Hormann.
+		 *
+		 * @param {integer} n - trials
+		 * @param {number} p - probability
+		 * @param {function} rng - uniform random number generator
+		 * @return {integer} variate
+		 */
+		binomial: function(n, p, rng) {
+			var k;
+			var u;
+			var v;
+			var us;
+			var pr;
+			var s;
+			var q = Math.min(p, 1 - p);
+			var spq = Math.sqrt(n * q * (1 - q));
+			var b = 1.15 + 2.53 * spq;
+			var a = -0.0873 + 0.0248 * b + 0.01 * q;
+			var c = n * q + 0.5;
+			var vr = 0.92 - 4.2 / b;
+			var alpha = (2.83 + 5.1 / b) * spq;
+			var lpq = Math.log(q / (1 - q));
+			var m = Math.floor((n + 1) * q);
+			var h = Math.h.lngamma(m + 1) + Math.h.lngamma(n - m + 1);
+
+			// sample the number of the less likely outcomes and flip back if needed
+			var flip = function(k) {
+				return (p > 0.5) ? n - k : k;
+			};
+
+			if (n * q < 10) {
+				k = 0;
+				pr = Math.pow(1 - q, n);
+				s = pr;
+				u = rng();
+
+				while (u > s && k < n) {
+					k += 1;
+					pr *= q / (1 - q) * (n - k + 1) / k;
+					s += pr;
+				}
+
+				return flip(k);
+			}
+
+			while (true) {
+				u = rng() - 0.5;
+				v = rng();
+				us = 0.5 - Math.abs(u);
+				k = Math.floor((2 * a / us + b) * u + c);
+
+				if (k < 0 || k > n) {
+					continue;
+				}
+				if (us >= 0.07 && v <= vr) {
+					return flip(k);
+				}
+				if (Math.log(v * alpha / (a / (us * us) + b)) <= h - Math.h.lngamma(k + 1) - Math.h.lngamma(n - k + 1) + (k - m) * lpq) {
+					return flip(k);
+				}
+			}
+		}
+	},
+
+	/**
+	 * @namespace
+	 * @description define statistics of weighted samples such as frequency tables, whose objects hold the observation in y as unweighted samples do and
+	 * its weight in
+	 * a weight field; options may name other value and weight fields, and set the weighting to frequency, where a weight counts repeated observations,
+	 * or reliability, where weights are relative precisions and the sample size is Kish's effective size
+	 */
+	weighted: {
+		/**
+		 * Extract the values and weights of a weighted sample.
+		 *
+		 * @example
+		 * Math.p.weighted.pairs([{ y: 1, weight: 3 }, { y: 2, weight: 1 }])
+		 * // returns { values: [1, 2], weights: [3, 1] }
+		 *
+		 * @param {array} array - sample array of objects
+		 * @param {object} [options] - value and weight field names
+		 * @return {object} arrays of the values and of their weights
+		 */
+		pairs: function(array, options) {
+			var value;
+			var weight;
+
+			options = options || {};
+			value = options.value || 'y';
+			weight = options.weight || 'weight';
+
+			return {
+				values: array.map(function(el) {
+					return el[value];
+				}),
+				weights: array.map(function(el) {
+					return (typeof el[weight] === 'undefined') ? 1 : el[weight];
+				})
+			};
+		},
+
+		/**
+		 * Calculate the weighted mean of a sample.
+		 *
+		 * @example
+		 * Math.p.weighted.mean([{ y: 1, weight: 3 }, { y: 2, weight: 1 }])
+		 * // returns 1.25
+		 *
+		 * @param {array} array - sample array of objects
+		 * @param {object} [options] - value and weight field names
+		 * @return {number} mean
+		 */
+		mean: function(array, options) {
+			return Math.p.weighted.moments(array, options).mean;
+		},
+
+		/**
+		 * Calculate the unbiased weighted variance of a sample.
+		 *
+		 * @example
+		 * Math.p.weighted.variance([{ y: 1, weight: 3 }, { y: 2, weight: 1 }])
+		 * // returns 0.25
+		 * @example
+		 * Math.p.weighted.variance([{ y: 1, weight: 3 }, { y: 2, weight: 1 }], { weighting: 'reliability' })
+		 * // returns 0.5
+		 *
+		 * @param {array} array - sample array of objects
+		 * @param {object} [options] - value and weight field names and weighting
+		 * @return {number} variance
+		 */
+		variance: function(array, options) {
+			return Math.p.weighted.moments(array, options).variance;
+		},
+
+		/**
+		 * Calculate a percentile of a sample weighted by frequency, as Math.p.percentile would for the sample with each value repeated by its weight.
+		 *
+		 * @example
+		 * Math.p.weighted.percentile([{ y: 1, weight: 3 }, { y: 2, weight: 1 }], 50)
+		 * // returns 1
+		 *
+		 * @param {array} array - sample array of objects
+		 * @param {number} p - percentage between 0 and 100
+		 * @param {object} [options] - value and weight field names and method as the interpolation method of Math.p.percentile
+		 * @return {number} percentile
+		 */
+		percentile: function(array, p, options) {
+			var pairs = Math.p.weighted.pairs(array, options);
+
+			return Math.p.percentile(pairs.values, p, (options || {}).method, pairs.weights);
+		},
+
+		/**
+		 * Calculate the weighted mean, variance, skewness and kurtosis of a sample, named as the moments of a distribution are and corrected for bias as by
+		 * Math.p.describe with the sample size taken from the weights.
+		 *
+		 * @example
+		 * Math.p.weighted.moments([{ y: 1, weight: 3 }, { y: 2, weight: 1 }, { y: 4, weight: 2 }])
+		 * // returns { mean: 2.1666666666666665, variance: 2.1666666666666665, skewness: 0.7107215845092236, kurtosis: -2.052071005917159, n: 6 }
+		 *
+		 * @param {array} array - sample array of objects
+		 * @param {object} [options] - value and weight field names and weighting
+		 * @return {object} moments with the sample size
+		 */
+		moments: function(array, options) {
+			var i;
+			var pairs = Math.p.weighted.pairs(array, options);
+			var x = pairs.values;
+			var w = pairs.weights;
+			var v1 = 0;
+			var v2 = 0;
+			var mean = 0;
+			var m = [0, 0, 0, 0, 0];
+			var n;
+			var variance;
+
+			for (i = 0; i < x.length; i++) {
+				v1 += w[i];
+				v2 += w[i] * w[i];
+				mean += w[i] * x[i];
+			}
+
+			mean /= v1;
+
+			for (i = 0; i < x.length; i++) {
+				m[2] += w[i] * Math.pow(x[i] - mean, 2) / v1;
+				m[3] += w[i] * Math.pow(x[i] - mean, 3) / v1;
+				m[4] += w[i] * Math.pow(x[i] - mean, 4) / v1;
+			}
+
+			n = ((options || {}).weighting === 'reliability') ? v1 * v1 / v2 : v1;
+			variance = m[2] * n / (n - 1);
+
+			return {
+				mean: mean,
+				variance: variance,
+				skewness: n * n / ((n - 1) * (n - 2)) * m[3] / Math.pow(variance, 1.5),
+				kurtosis: (n + 1) * n * n / ((n - 1) * (n - 2) * (n - 3)) * m[4] / Math.pow(variance, 2) - 3 * Math.pow(n - 1, 2) / ((n - 2) * (n - 3)),
+				n: n
+			};
+		}
+	},
+
+	/**
+	 * @namespace
+	 * @description define hypothesis tests; samples may be arrays of numbers or arrays of x-y coordinate objects whose y properties hold the observations
+	 */
+	test: {
+		/**
+		 * Kolmogorov-Smirnov test of the largest distance between cumulative distribution functions. Given a distribution, the empirical cdf of the sample
+		 * is compared with the cdf of the distribution; given a second sample instead, the empirical cdfs of both samples are compared. The p-value comes
+		 * from the asymptotic Kolmogorov distribution with Stephens' correction for the sample size, and is conservative for discrete distributions.
+		 *
+		 * @example
+		 * Math.p.test.ks([0.1, 0.4, 0.45, 0.7, 0.9], 'uniform', { a: 0, b: 1 })
+		 * // returns { statistic: 0.2, n: 5, pValue: 0.9747892465409951 }
+		 * @example
+		 * Math.p.test.ks([{ x: 0, y: 1 }, { x: 1, y: 2 }, { x: 2, y: 3 }], [{ x: 0, y: 2.5 }, { x: 1, y: 3.5 }, { x: 2, y: 4.5 }])
+		 * // returns { statistic: 0.6666666666666667, n: 1.5, pValue: 0.3197243332709644 }
+		 *
+		 * @param {array} samples - sample
+		 * @param {string|array} distrType - distribution type as string or a second sample
+		 * @param {object} [params] - statistical parameters object when testing against a distribution
+		 * @return {object} statistic as the largest distance between the cdfs, n as the effective sample size and the p-value
+		 */
+		ks: function(samples, distrType, params) {
+			var x = sorted(samples);
+			var y;
+			var cdf;
+			var discrete;
+			var n = x.length;
+			var d = 0;
+
+			if (Array.isArray(distrType)) {
+				y = sorted(distrType);
+				n = x.length * y.length / (x.length + y.length);
+
+				x.concat(y).forEach(function(v) {
+					d = Math.max(d, Math.abs(below(x, v, true) / x.length - below(y, v, true) / y.length));
+				});
+			} else {
+				cdf = Math.p.distribution[distrType].cdf(params);
+				discrete = Math.p.distribution[distrType].discrete;
+
+				// compare both the values and the left limits at each observation, as the empirical cdf jumps there
+				x.forEach(function(v) {
+					d = Math.max(d, Math.abs(below(x, v, true) / x.length - cdf(v)), Math.abs(below(x, v, false) / x.length - ((discrete) ? cdf(v - 1) : cdf(v))));
+				});
+			}
+
+			return {
+				statistic: d,
+				n: n,
+				pValue: kolmogorov((Math.sqrt(n) + 0.12 + 0.11 / Math.sqrt(n)) * d)
+			};
+
+			function sorted(samples) {
+				return Math.p.values(samples).sort(function(a, b) {
+					return a - b;
+				});
+			}
+
+			// number of sorted values below v, or not above v if inclusive
+			function below(array, v, inclusive) {
+				var mid;
+				var lo = 0;
+				var hi = array.length;
+
+				while (lo < hi) {
+					mid = Math.floor((lo + hi) / 2);
+
+					if (array[mid] < v || (inclusive && array[mid] === v)) {
+						lo = mid + 1;
+					} else {
+						hi = mid;
+					}
+				}
+
+				return lo;
+			}
+
+			// survival function of the Kolmogorov distribution, using the series that converges fastest at z
+			function kolmogorov(z) {
+				var k;
+				var sum = 0;
+
+				if (z < 1.18) {
+					if (z <= 0) {
+						return 1;
+					}
+
+					for (k = 1; k <= 5; k++) {
+						sum += Math.exp(-Math.pow((2 * k - 1) * Math.PI / z, 2) / 8);
+					}
+
+					return 1 - Math.sqrt(2 * Math.PI) / z * sum;
+				}
+
+				for (k = 1; k <= 5; k++) {
+					sum += Math.pow(-1, k - 1) * Math.exp(-2 * k * k * z * z);
+				}
+
+				return Math.min(1, 2 * sum);
+			}
+		},
+
+		/**
+		 * Anderson-Darling test of a sample against a fully specified continuous distribution. The statistic weighs the squared distance between the
+		 * empirical and the distribution cdf toward the tails, so it is more sensitive there than the Kolmogorov-Smirnov test. The p-value comes from
+		 * Marsaglia and Marsaglia's approximation of the distribution of the statistic with their correction for the sample size.
+		 *
+		 * @example
+		 * Math.p.test.andersonDarling([0.1, 0.4, 0.45, 0.7, 0.9], 'uniform', { a: 0, b: 1 })
+		 * // returns { statistic: 0.1833355070458516, n: 5, pValue: 0.9964247901797073 }
+		 *
+		 * @param {array} samples - sample
+		 * @param {string} distrType - distribution type as string
+		 * @param {object} params - statistical parameters object
+		 * @return {object} statistic, sample size and the p-value
+		 */
+		andersonDarling: function(samples, distrType, params) {
+			var logcdf = Math.p.distribution[distrType].logcdf(params);
+			var sf = Math.p.distribution[distrType].sf(params);
+			var x = Math.p.values(samples).sort(function(a, b) {
+				return a - b;
+			});
+			var i;
+			var n = x.length;
+			var a = -n;
+			var p;
+
+			for (i = 0; i < n; i++) {
+				a -= (2 * i + 1) * (logcdf(x[i]) + Math.log(sf(x[n - 1 - i]))) / n;
+			}
+
+			p = adinf(a);
+
+			return {
+				statistic: a,
+				n: n,
+				pValue: Math.min(1, Math.max(0, 1 - p - errfix(p)))
+			};
+
+			// asymptotic cdf of the statistic
+			function adinf(z) {
+				if (z <= 0) {
+					return 0;
+				}
+				if (z < 2) {
+					return Math.exp(-1.2337141 / z) / Math.sqrt(z) * (2.00012 + (0.247105 - (0.0649821 - (0.0347962 - (0.011672 - 0.00168691 * z) * z) * z) * z) * z);
+				}
+
+				return Math.exp(-Math.exp(1.0776 - (2.30695 - (0.43424 - (0.082433 - (0.008056 - 0.0003146 * z) * z) * z) * z) * z));
+			}
+
+			// correction of the asymptotic cdf for a sample of size n
+			function errfix(p) {
+				var t;
+				var c = 0.01265 + 0.1757 / n;
+
+				if (p > 0.8) {
+					return (-130.2137 + (745.2337 - (1705.091 - (1950.646 - (1116.360 - 255.7844 * p) * p) * p) * p) * p) / n;
+				}
+				if (p < c) {
+					t = p / c;
+					t = Math.sqrt(t) * (1 - t) * (49 * t - 102);
+
+					return t * (0.0037 / (n * n) + 0.00078 / n + 0.00006) / n;
+				}
+
+				t = (p - c) / (0.8 - c);
+				t = -0.00022633 + (6.54034 - (14.6538 - (14.458 - (8.259 - 1.91864 * t) * t) * t) * t) * t;
+
+				return t * (0.04213 + 0.01365 / n) / n;
+			}
+		},
+
+		/**
+		 * Pearson's chi-squared test of binned sample counts against the counts expected under a distribution. By default the support is split into bins of
+		 * equal probability, as many as 2n^(2/5) but no more than leave 5 expected observations in each; the bins of a discrete distribution are split
+		 * between integers. The p-value is the upper tail of the chiSquared distribution's cdf.
+		 *
+		 * @example
+		 * Math.p.test.chiSquare([0, 1, 1, 2, 2, 2, 3, 3, 4, 6], 'poisson', { lambda: 2 }, { bins: 2 })
+		 * // returns { statistic: 0.2687232154085511, df: 1, pValue: 0.6041895388060171, edges: [2], observed: [6, 4], expected: [6.766764161830637,
+		 * //   3.233235838169363] }
+		 *
+		 * @param {array} samples - sample
+		 * @param {string} distrType - distribution type as string
+		 * @param {object} params - statistical parameters object
+		 * @param {object} [options] - bins as the number of bins of equal probability, edges as the boundaries between bins to use instead, each bin
+		 * including its upper edge, and ddof as the number of parameters estimated from the sample, which are subtracted from the degrees of freedom
+		 * @return {object} statistic, degrees of freedom, p-value, bin edges and the observed and expected counts of each bin
+		 */
+		chiSquare: function(samples, distrType, params, options) {
+			var distr = Math.p.distribution[distrType];
+			var cdf = distr.cdf(params);
+			var quantile = distr.quantile(params);
+			var x = Math.p.values(samples);
+			var n = x.length;
+			var i;
+			var edges;
+			var bins;
+			var observed;
+			var expected;
+			var statistic;
+			var df;
+
+			options = options || {};
+			bins = options.bins || Math.max(2, Math.min(Math.ceil(2 * Math.pow(n, 0.4)), Math.floor(n / 5)));
+
+			if (options.edges) {
+				edges = options.edges.slice().sort(function(a, b) {
+					return a - b;
+				});
+			} else {
+				edges = [];
+
+				for (i = 1; i < bins; i++) {
+					edges.push(quantile(i / bins));
+				}
+
+				// bins of a discrete distribution may coincide
+				edges = edges.filter(function(el, i) {
+					return i === 0 || el !== edges[i - 1];
+				});
+			}
+
+			observed = edges.concat(Infinity).map(function() {
+				return 0;
+			});
+			x.forEach(function(el) {
+				var k = 0;
+
+				while (k < edges.length && el > edges[k]) {
+					k++;
+				}
+
+				observed[k]++;
+			});
+
+			expected = edges.concat(Infinity).map(function(el, k) {
+				var upper = (k < edges.length) ? cdf(el) : 1;
+				var lower = (k > 0) ? cdf(edges[k - 1]) : 0;
+
+				return n * (upper - lower);
+			});
+
+			statistic = 0;
+
+			for (i = 0; i < observed.length; i++) {
+				statistic += Math.pow(observed[i] - expected[i], 2) / expected[i];
+			}
+
+			df = observed.length - 1 - (options.ddof || 0);
+
+			return {
+				statistic: statistic,
+				df: df,
+				pValue: (df >= 1) ? Math.p.distribution.chiSquared.sf({ k: df })(statistic) : NaN,
+				edges: edges,
+				observed: observed,
+				expected: expected
+			};
+		},
+		/**
+		 * Build the result of a test on an estimate whose standardised difference from a hypothesised value follows a symmetric distribution, as the t and
+		 * z tests do.
+		 *
+		 * @example
+		 * Math.p.test.location(1.5, 0.5, 0, 'gaussian', { mean: 0, std: 1 }, 0.95)
+		 * // returns { statistic: 3, df: Infinity, estimate: 1.5, pValues: { twoSided: 0.0026997960632601905, less: 0.9986501019683699,
+		 * //   greater: 0.0013498980316300952 }, interval: { lower: 0.5200180077299728, upper: 2.4799819922700275, level: 0.95 } }
+		 *
+		 * @param {number} estimate - estimate from the sample
+		 * @param {number} se - standard error of the estimate
+		 * @param {number} h0 - hypothesised value of the estimated quantity
+		 * @param {string} distrType - distribution type of the standardised statistic as string
+		 * @param {object} params - statistical parameters object of the distribution, whose v parameter if any gives the degrees of freedom
+		 * @param {number} [level] - confidence level of the interval, defaults to 0.95
+		 * @return {object} statistic, degrees of freedom, estimate, p-values of the two-sided and both one-sided alternatives and the confidence interval
+		 */
+		location: function(estimate, se, h0, distrType, params, level) {
+			var statistic = (estimate - h0) / se;
+			var distr = Math.p.distribution[distrType];
+			var q;
+
+			if (typeof level === 'undefined') {
+				level = 0.95;
+			}
+
+			q = distr.quantile(params)((1 + level) / 2);
+
+			return {
+				statistic: statistic,
+				df: (typeof params.v !== 'undefined') ? params.v : Infinity,
+				estimate: estimate,
+				pValues: {
+					twoSided: Math.min(1, 2 * distr.sf(params)(Math.abs(statistic))),
+					less: distr.cdf(params)(statistic),
+					greater: distr.sf(params)(statistic)
+				},
+				interval: {
+					lower: estimate - q * se,
+					upper: estimate + q * se,
+					level: level
+				}
+			};
+		},
+
+		/**
+		 * One-sample Student's t-test of the mean of a sample whose variance is unknown.
+		 *
+		 * @example
+		 * Math.p.test.t([5.1, 4.9, 5.6, 5.8, 6.0, 5.5], 5)
+		 * // returns { statistic: 2.840953585413205, df: 5, estimate: 5.4833333333333325, pValues: { twoSided: 0.03620590324044145,
+		 * //   less: 0.9818970483797793, greater: 0.018102951620220725 }, interval: { lower: 5.045998526596774, upper: 5.920668140069891, level: 0.95 } }
+		 *
+		 * @param {array} samples - sample
+		 * @param {number} [mu] - hypothesised mean, defaults to 0
+		 * @param {object} [options] - level as the confidence level of the interval
+		 * @return {object} test result as built by Math.p.test.location
+		 */
+		t: function(samples, mu, options) {
+			var n = samples.length;
+
+			// the sample variance and the degrees of freedom need a second observation
+			if (n < 2) {
+				throw new Math.p.ParamError('t-test', [{
+					constraint: 'samples',
+					value: n,
+					limit: 2,
+					message: 'The sample must have at least 2 observations'
+				}]);
+			}
+
+			options = options || {};
+
+			return Math.p.test.location(Math.p.mean(samples), Math.sqrt(Math.p.variance(samples) / n), mu || 0, 'studentsT', { v: n - 1 }, options.level);
+		},
+
+		/**
+		 * Welch's t-test of the difference between the means of two samples whose variances may differ, with degrees of freedom from the
+		 * Welch-Satterthwaite equation.
+		 *
+		 * @example
+		 * Math.p.test.welch([5.1, 4.9, 5.6, 5.8, 6.0, 5.5], [4.2, 4.8, 5.0, 4.4])
+		 * // returns { statistic: 3.5396316152184615, df: 7.210132412865589, estimate: 0.8833333333333329, pValues: { twoSided: 0.009026335710830547,
+		 * //   less: 0.9954868321445848, greater: 0.0045131678554152736 }, interval: { lower: 0.29669766541935305, upper: 1.4699690012473128,
+		 * //   level: 0.95 } }
+		 *
+		 * @param {array} a - first sample
+		 * @param {array} b - second sample
+		 * @param {object} [options] - mu as the hypothesised difference of the means, defaults to 0, and level as the confidence level of the interval
+		 * @return {object} test result as built by Math.p.test.location
+		 */
+		welch: function(a, b, options) {
+			var va = Math.p.variance(a) / a.length;
+			var vb = Math.p.variance(b) / b.length;
+
+			options = options || {};
+
+			return Math.p.test.location(Math.p.mean(a) - Math.p.mean(b), Math.sqrt(va + vb), options.mu || 0, 'studentsT', {
+				v: Math.pow(va + vb, 2) / (va * va / (a.length - 1) + vb * vb / (b.length - 1))
+			}, options.level);
+		},
+
+		/**
+		 * Student's two-sample t-test of the difference between the means of two samples assumed to share a variance, which is estimated by pooling both samples.
+		 *
+		 * @example
+		 * Math.p.test.pooled([5.1, 4.9, 5.6, 5.8, 6.0, 5.5], [4.2, 4.8, 5.0, 4.4])
+		 * // returns { statistic: 3.4368337963918214, df: 8, estimate: 0.8833333333333329, pValues: { twoSided: 0.008865075126512816,
+		 * //   less: 0.9955674624367435, greater: 0.004432537563256408 }, interval: { lower: 0.29064528377770127, upper: 1.4760213828889643,
+		 * //   level: 0.95 } }
+		 *
+		 * @param {array} a - first sample
+		 * @param {array} b - second sample
+		 * @param {object} [options] - mu as the hypothesised difference of the means, defaults to 0, and level as the confidence level of the interval
+		 * @return {object} test result as built by Math.p.test.location
+		 */
+		pooled: function(a, b, options) {
+			var df = a.length + b.length - 2;
+			var variance = ((a.length - 1) * Math.p.variance(a) + (b.length - 1) * Math.p.variance(b)) / df;
+
+			options = options || {};
+
+			return Math.p.test.location(Math.p.mean(a) - Math.p.mean(b), Math.sqrt(variance * (1 / a.length + 1 / b.length)), options.mu || 0, 'studentsT', { v: df }, options.level);
+		},
+
+		/**
+		 * Paired t-test of the mean difference between two samples of equal length whose observations are matched by position.
+		 *
+		 * @example
+		 * Math.p.test.paired([5.1, 4.9, 5.6, 5.8], [4.8, 4.9, 5.0, 5.4])
+		 * // returns { statistic: 2.5999999999999996, df: 3, estimate: 0.32499999999999973, pValues: { twoSided: 0.08037582293232788,
+		 * //   less: 0.959812088533836, greater: 0.04018791146616394 }, interval: { lower: -0.07280578816046379, upper: 0.7228057881604633, level: 0.95 } }
+		 *
+		 * @param {array} a - first sample
+		 * @param {array} b - second sample
+		 * @param {object} [options] - mu as the hypothesised mean difference, defaults to 0, and level as the confidence level of the interval
+		 * @return {object} test result as built by Math.p.test.location
+		 */
+		paired: function(a, b, options) {
+			var y = Math.p.values(b);
+
+			return Math.p.test.t(Math.p.values(a).map(function(el, i) {
+				return el - y[i];
+			}), (options || {}).mu, options);
+		},
+
+		/**
+		 * Z-test of the mean of a sample drawn from a population of known standard deviation.
+		 *
+		 * @example
+		 * Math.p.test.z([5.1, 4.9, 5.6, 5.8, 6.0, 5.5], 5, 0.5)
+		 * // returns { statistic: 2.367840084690401, df: Infinity, estimate: 5.4833333333333325, pValues: { twoSided: 0.01789226761301949,
+		 * //   less: 0.9910538661934902, greater: 0.008946133806509745 }, interval: { lower: 5.083257360303723, upper: 5.883409306362942, level: 0.95 } }
+		 *
+		 * @param {array} samples - sample
+		 * @param {number} mu - hypothesised mean
+		 * @param {number} sigma - known population standard deviation
+		 * @param {object} [options] - level as the confidence level of the interval
+		 * @return {object} test result as built by Math.p.test.location
+		 */
+		z: function(samples, mu, sigma, options) {
+			options = options || {};
+
+			return Math.p.test.location(Math.p.mean(samples), sigma / Math.sqrt(samples.length), mu, 'gaussian', { mean: 0, std: 1 }, options.level);
+		},
+
+		/**
+		 * Z-test of the difference between the means of two samples drawn from populations of known standard deviations.
+		 *
+		 * @example
+		 * Math.p.test.zTwoSample([5.1, 4.9, 5.6, 5.8, 6.0, 5.5], [4.2, 4.8, 5.0, 4.4], 0.5, 0.4)
+		 * // returns { statistic: 3.0910227706549613, df: Infinity, estimate: 0.8833333333333329, pValues: { twoSided: 0.0019946833664563624,
+		 * //   less: 0.9990026583167718, greater: 0.0009973416832281812 }, interval: { lower: 0.3232269710918799, upper: 1.443439695574786, level: 0.95 } }
+		 *
+		 * @param {array} a - first sample
+		 * @param {array} b - second sample
+		 * @param {number} sigmaA - known standard deviation of the population of the first sample
+		 * @param {number} sigmaB - known standard deviation of the population of the second sample
+		 * @param {object} [options] - mu as the hypothesised difference of the means, defaults to 0, and level as the confidence level of the interval
+		 * @return {object} test result as built by Math.p.test.location
+		 */
+		zTwoSample: function(a, b, sigmaA, sigmaB, options) {
+			options = options || {};
+
+			return Math.p.test.location(Math.p.mean(a) - Math.p.mean(b), Math.sqrt(sigmaA * sigmaA / a.length + sigmaB * sigmaB / b.length), options.mu || 0, 'gaussian', { mean: 0, std: 1 }, options.level);
+		},
+
+		/**
+		 * F-test of the ratio of the variances of two samples drawn from normal populations. The statistic is the ratio of the sample variances divided by
+		 * the hypothesised ratio, and the confidence interval is for the ratio of the population variances.
+		 *
+		 * @example
+		 * Math.p.test.f([5.1, 4.9, 5.6, 5.8, 6.0, 5.5], [4.2, 4.8, 5.0, 4.4])
+		 * // returns { statistic: 1.3025000000000009, df: [5, 3], estimate: 1.3025000000000009, pValues: { twoSided: 0.8814108110707913,
+		 * //   less: 0.5592945944646044, greater: 0.44070540553539567 }, interval: { lower: 0.08750523986373553, upper: 10.112075300329163, level: 0.95 } }
+		 *
+		 * @param {array} a - first sample
+		 * @param {array} b - second sample
+		 * @param {object} [options] - ratio as the hypothesised ratio of the variances, defaults to 1, and level as the confidence level of the interval
+		 * @return {object} statistic, numerator and denominator degrees of freedom, estimated ratio, p-values of the two-sided and both one-sided
+		 * alternatives and the confidence interval
+		 */
+		f: function(a, b, options) {
+			var level;
+			var params = {
+				d1: a.length - 1,
+				d2: b.length - 1
+			};
+			var quantile = Math.p.distribution.fisherSnedecor.quantile(params);
+			var estimate = Math.p.variance(a) / Math.p.variance(b);
+			var statistic;
+			var less;
+			var greater;
+
+			options = options || {};
+			level = (typeof options.level === 'undefined') ? 0.95 : options.level;
+			statistic = estimate / (options.ratio || 1);
+			less = Math.p.distribution.fisherSnedecor.cdf(params)(statistic);
+			greater = Math.p.distribution.fisherSnedecor.sf(params)(statistic);
+
+			return {
+				statistic: statistic,
+				df: [params.d1, params.d2],
+				estimate: estimate,
+				pValues: {
+					twoSided: Math.min(1, 2 * Math.min(less, greater)),
+					less: less,
+					greater: greater
+				},
+				interval: {
+					lower: estimate / quantile((1 + level) / 2),
+					upper: estimate / quantile((1 - level) / 2),
+					level: level
+				}
+			};
+		}
+	},
+
+	/**
+	 * @namespace
+	 * @description define confidence intervals; each takes a confidence level that defaults to 0.95 and returns the estimate with the lower and upper
+	 * limits of its interval
+	 */
+	interval: {
+		/**
+		 * Student's t interval for the mean of a sample whose variance is unknown.
+		 *
+		 * @example
+		 * Math.p.interval.mean([5.1, 4.9, 5.6, 5.8, 6.0, 5.5])
+		 * // returns { estimate: 5.4833333333333325, lower: 5.045998526596774, upper: 5.920668140069891, level: 0.95 }
+		 *
+		 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+		 * @param {number} [level] - confidence level
+		 * @return {object} interval
+		 */
+		mean: function(samples, level) {
+			var n = samples.length;
+			var estimate = Math.p.mean(samples);
+			var h;
+
+			level = (typeof level === 'undefined') ? 0.95 : level;
+			h = Math.p.distribution.studentsT.quantile({ v: n - 1 })((1 + level) / 2) * Math.sqrt(Math.p.variance(samples) / n);
+
+			return {
+				estimate: estimate,
+				lower: estimate - h,
+				upper: estimate + h,
+				level: level
+			};
+		},
+
+		/**
+		 * Chi-squared interval for the variance of a sample drawn from a normal population.
+		 *
+		 * @example
+		 * Math.p.interval.variance([5.1, 4.9, 5.6, 5.8, 6.0, 5.5])
+		 * // returns { estimate: 0.1736666666666666, lower: 0.06766672109128069, upper: 1.0446597704415568, level: 0.95 }
+		 *
+		 * @param {array} samples - array of numbers or of objects with x and y coordinate properties
+		 * @param {number} [level] - confidence level
+		 * @return {object} interval
+		 */
+		variance: function(samples, level) {
+			var df = samples.length - 1;
+			var estimate = Math.p.variance(samples);
+			var quantile = Math.p.distribution.chiSquared.quantile({ k: df });
+
+			level = (typeof level === 'undefined') ? 0.95 : level;
+
+			return {
+				estimate: estimate,
+				lower: df * estimate / quantile((1 + level) / 2),
+				upper: df * estimate / quantile((1 - level) / 2),
+				level: level
+			};
+		},
+
+		/**
+		 * Wilson score interval for a binomial proportion, which unlike the normal approximation stays within [0, 1] and keeps close to its nominal
+		 * coverage for small samples and extreme proportions.
+		 *
+		 * @example
+		 * Math.p.interval.wilson(7, 20)
+		 * // returns { estimate: 0.35, lower: 0.18119182410108206, upper: 0.5671457233147638, level: 0.95 }
+		 *
+		 * @param {integer} successes - number of successes
+		 * @param {integer} trials - number of trials
+		 * @param {number} [level] - confidence level
+		 * @return {object} interval
+		 */
+		wilson: function(successes, trials, level) {
+			var z;
+			var center;
+			var h;
+
+			level = (typeof level === 'undefined') ? 0.95 : level;
+			z = Math.p.distribution.gaussian.quantile({ mean: 0, std: 1 })((1 + level) / 2);
+			center = (successes + z * z / 2) / (trials + z * z);
+			h = z / (trials + z * z) * Math.sqrt(successes * (trials - successes) / trials + z * z / 4);
+
+			return {
+				estimate: successes / trials,
+				lower: center - h,
+				upper: center + h,
+				level: level
+			};
+		},
+
+		/**
+		 * Clopper-Pearson interval for a binomial proportion, which inverts the binomial test through quantiles of the beta distribution so that its
+		 * coverage is never below the nominal level.
+		 *
+		 * @example
+		 * Math.p.interval.clopperPearson(7, 20)
+		 * // returns { estimate: 0.35, lower: 0.15390920478454148, upper: 0.5921885345328274, level: 0.95 }
+		 *
+		 * @param {integer} successes - number of successes
+		 * @param {integer} trials - number of trials
+		 * @param {number} [level] - confidence level
+		 * @return {object} interval
+		 */
+		clopperPearson: function(successes, trials, level) {
+			level = (typeof level === 'undefined') ? 0.95 : level;
+
+			return {
+				estimate: successes / trials,
+				lower: (successes === 0) ? 0 : Math.p.distribution.beta.quantile({ a: successes, b: trials - successes + 1 })((1 - level) / 2),
+				upper: (successes === trials) ? 1 : Math.p.distribution.beta.quantile({ a: successes + 1, b: trials - successes })((1 + level) / 2),
+				level: level
+			};
+		},
+
+		/**
+		 * Exact interval for the rate of a Poisson process from an observed count, through quantiles of the gamma distribution.
+		 *
+		 * @example
+		 * Math.p.interval.poisson(12, 4)
+		 * // returns { estimate: 3, lower: 1.5501437771805546, upper: 5.2403962620442375, level: 0.95 }
+		 *
+		 * @param {integer} count - number of events observed
+		 * @param {number} [exposure] - time or size over which the events were observed, defaults to 1
+		 * @param {number} [level] - confidence level
+		 * @return {object} interval
+		 */
+		poisson: function(count, exposure, level) {
+			exposure = exposure || 1;
+			level = (typeof level === 'undefined') ? 0.95 : level;
+
+			return {
+				estimate: count / exposure,
+				lower: (count === 0) ? 0 : Math.p.distribution.gamma.quantile({ k: count, theta: 1 })((1 - level) / 2) / exposure,
+				upper: Math.p.distribution.gamma.quantile({ k: count + 1, theta: 1 })((1 + level) / 2) / exposure,
+				level: level
+			};
+		}
+	},
+
+	/**
+	 * @namespace
+	 * @description define smoothing kernels in their standard form on [-1, 1], or the whole real line for the gaussian kernel, each with its pdf, cdf,
+	 * variance, fourth moment, roughness as the integral of its square, self-convolution and a generator of variates
+	 */
+	kernels: {
+		gaussian: {
+			support: Infinity,
+			variance: 1,
+			fourth: 3,
+			roughness: 1 / (2 * Math.sqrt(Math.PI)),
+
+			pdf: function(u) {
+				return Math.exp(-u * u / 2) / Math.sqrt(2 * Math.PI);
+			},
+
+			cdf: function(u) {
+				return 0.5 * Math.h.erfc(-u / Math.SQRT2);
+			},
+
+			convolution: function(u) {
+				return Math.exp(-u * u / 4) / (2 * Math.sqrt(Math.PI));
+			},
+
+			sample: function(rng) {
+				return Math.p.variates.gaussian(rng);
+			}
+		},
+
+		epanechnikov: {
+			support: 1,
+			variance: 1 / 5,
+			fourth: 3 / 35,
+			roughness: 3 / 5,
+
+			pdf: function(u) {
+				return (Math.abs(u) <= 1) ? 0.75 * (1 - u * u) : 0;
+			},
+
+			cdf: function(u) {
+				u = Math.max(-1, Math.min(1, u));
+
+				return 0.5 + 0.75 * u - 0.25 * u * u * u;
+			},
+
+			convolution: function(u) {
+				u = Math.abs(u);
+
+				return (u <= 2) ? 3 / 160 * Math.pow(2 - u, 3) * (u * u + 6 * u + 4) : 0;
+			},
+
+			// the median of three uniform variates on [-1, 1] when the largest in absolute value is discarded
+			sample: function(rng) {
+				var u1 = 2 * rng() - 1;
+				var u2 = 2 * rng() - 1;
+				var u3 = 2 * rng() - 1;
+
+				return (Math.abs(u3) >= Math.abs(u2) && Math.abs(u3) >= Math.abs(u1)) ? u2 : u3;
+			}
+		},
+
+		triangular: {
+			support: 1,
+			variance: 1 / 6,
+			fourth: 1 / 15,
+			roughness: 2 / 3,
+
+			pdf: function(u) {
+				return Math.max(0, 1 - Math.abs(u));
+			},
+
+			cdf: function(u) {
+				u = Math.max(-1, Math.min(1, u));
+
+				return (u < 0) ? (1 + u) * (1 + u) / 2 : 1 - (1 - u) * (1 - u) / 2;
+			},
+
+			convolution: function(u) {
+				u = Math.abs(u);
+
+				if (u <= 1) {
+					return 2 / 3 - u * u + u * u * u / 2;
+				}
+
+				return (u <= 2) ? Math.pow(2 - u, 3) / 6 : 0;
+			},
+
+			sample: function(rng) {
+				return rng() + rng() - 1;
+			}
+		},
+
+		uniform: {
+			support: 1,
+			variance: 1 / 3,
+			fourth: 1 / 5,
+			roughness: 1 / 2,
+
+			pdf: function(u) {
+				return (Math.abs(u) <= 1) ? 0.5 : 0;
+			},
+
+			cdf: function(u) {
+				return (Math.max(-1, Math.min(1, u)) + 1) / 2;
+			},
+
+			convolution: function(u) {
+				return (Math.abs(u) <= 2) ? (2 - Math.abs(u)) / 4 : 0;
+			},
 
-		/**
-		 * Calculate the kurtosis of a moment generating function via numerical derivation. Kurtosis is the degree of peakedness of a distribution, defined as a normalized form of the fourth central moment of a distribution.
-		 *
-		 * @example
-		 * Math.p.moments.kurtosis(function(t) { return Math.sqrt(t + 0.1); })
-		 * // returns -38.575
-		 *
-		 * @param {function} f - single-variable function
-		 * @return {number} kurtosis
-		 */
-		kurtosis: function(f) {
-			return Math.h.round((Math.h.derivative(f, 4, 0) - 4 * Math.h.derivative(f, 1, 0) * Math.h.derivative(f, 3, 0) + 6 * Math.h.derivative(f, 2, 0) * Math.pow(Math.h.derivative(f, 1, 0), 2) - 3 * Math.pow(Math.h.derivative(f, 1, 0), 4)) / Math.pow(Math.h.derivative(f, 2, 0) - Math.pow(Math.h.derivative(f, 1, 0), 2), 2) - 3, 3);
+			sample: function(rng) {
+				return 2 * rng() - 1;
+			}
 		}
-
 	},
 
 	/**
 	 * @namespace
 	 * @description define distributions
+	 * @property {string} (distribution).title - name of the distribution as displayed
 	 * @property {array} (distribution).description - array of paragraphs describing a particular distribution
 	 * @property {boolean} (distribution).discrete - determines if distribution is discrete or continuous
 	 * @property {function} (distribution).bounds - define distribution bounds for its variable
-	 * @property {object} (distribution).params - contains values used in generating html input
+	 * @property {object} (distribution).params - contains values used in generating html input and the domain and integer constraints enforced by
+	 * Math.p.validate, the domain holding the lower and upper bounds of the parameter with a value and whether it is closed
+	 * @property {array} [(distribution).constraints] - cross-parameter constraints, each with the param it is reported against, a test function of the
+	 * parameters and a message
 	 * @property {function|object} (distribution).mgf - specified moment generating function returns a function of parameters or an object containing hard-coded standard moment equations
 	 * @property {function} (distribution).pdf - probability distribution function returns a function of its variable using specified distribution parameters
+	 * @property {function} (distribution).logpdf - natural logarithm of the probability distribution function, evaluated without forming the pdf itself
+	 * so that it neither overflows nor underflows
 	 * @property {function} (distribution).cdf - cumulative distribution function returns a function of its variable using specified distribution parameters
+	 * @property {function} (distribution).logcdf - natural logarithm of the cumulative distribution function, accurate in both tails
+	 * @property {function} (distribution).sf - survival function returns a function of its variable giving P(X > x), evaluated directly so that it keeps
+	 * its precision in the upper tail
+	 * @property {function} (distribution).quantile - inverse cumulative distribution function returns a function of a probability using specified
+	 * distribution parameters
+	 * @property {function} (distribution).sample - random variate generator returns an array of variates drawn using specified distribution parameters,
+	 * count and uniform random number generator
+	 * @property {function} (distribution).median - median as a function of the statistical parameters, the lowest value at which the cdf reaches 1/2
+	 * @property {function} (distribution).mode - mode as a function of the statistical parameters, the lowest one where several values share the highest density
+	 * @property {function} (distribution).entropy - entropy in nats as a function of the statistical parameters, the differential entropy for continuous
+	 * distributions
+	 * @property {function} (distribution).support - support as a function of the statistical parameters, as described by Math.p.support
+	 * @property {function} [(distribution).mle] - closed-form maximum likelihood estimator returns a statistical parameters object from an array of
+	 * observed values
+	 * @property {function} [(distribution).matchMoments] - method-of-moments estimator returns a statistical parameters object solving for the mean and
+	 * variance, which may violate the parameter constraints when the sample moments cannot be matched
 	 */
 	distribution: {
 		beta: {
+			title: 'Beta',
+
 			description: [
 				'The beta distribution is a family of continuous probability distributions defined on the interval [0, 1] parametrized by two positive shape parameters, denoted by &alpha; and &beta;, that appear as exponents of the random variable and control the shape of the distribution.',
 				'The beta distribution has been applied to model the behavior of random variables limited to intervals of finite length in a wide variety of disciplines. For example, it has been used as a statistical description of allele frequencies in population genetics; time allocation in project management / control systems; sunshine data; variability of soil properties; proportions of the minerals in rocks in stratigraphy; and heterogeneity in the probability of HIV transmission.',
@@ -259,7 +4700,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 2
+					value: 2,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				},
 				{
 					id: 'b',
@@ -268,7 +4715,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 2
+					value: 2,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -293,14 +4746,88 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					if (x < 0 || x > 1) {
+						return -Infinity;
+					} else if (x === 0 || x === 1) {
+						return Math.log(Math.p.distribution.beta.pdf(params)(x));
+					}
+
+					return (params.a - 1) * Math.log(x) + (params.b - 1) * Math.h.log1p(-x) - Math.h.lnbeta(params.a, params.b);
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.beta.pdf(params), 0, x);
+					if (x <= 0) {
+						return 0;
+					} else if (x >= 1) {
+						return 1;
+					}
+
+					return Math.h.betaI(x, params.a, params.b);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('beta', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					if (x <= 0) {
+						return 1;
+					} else if (x >= 1) {
+						return 0;
+					}
+
+					return Math.h.betaI(1 - x, params.b, params.a);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('beta', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					var x = Math.p.variates.gamma(params.a, rng);
+
+					return x / (x + Math.p.variates.gamma(params.b, rng));
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.beta.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				if (params.a > 1 && params.b > 1) {
+					return (params.a - 1) / (params.a + params.b - 2);
+				}
+
+				// otherwise the density peaks at a bound, at the lower one when it peaks at both
+				return (params.a > 1 || (params.a === 1 && params.b < 1)) ? 1 : 0;
+			},
+
+			entropy: function(params) {
+				return Math.h.lnbeta(params.a, params.b) - (params.a - 1) * Math.h.digamma(params.a) - (params.b - 1) * Math.h.digamma(params.b) + (params.a + params.b - 2) * Math.h.digamma(params.a + params.b);
+			},
+
+			matchMoments: function(moments) {
+				var c = moments.mean * (1 - moments.mean) / moments.variance - 1;
+
+				return {
+					a: moments.mean * c,
+					b: (1 - moments.mean) * c
 				};
 			}
 		},
 
 		binomial: {
+			title: 'Binomial',
+
 			description: [
 				'The binomial distribution with parameters n and p is the discrete probability distribution of the number of successes in a sequence of n independent yes/no experiments, each of which yields success with probability p. A success/failure experiment is also called a Bernoulli experiment or Bernoulli trial; when n = 1, the binomial distribution is a Bernoulli distribution. The binomial distribution is the basis for the popular binomial test of statistical significance.',
 				'The binomial distribution is frequently used to model the number of successes in a sample of size n drawn with replacement from a population of size N. If the sampling is carried out without replacement, the draws are not independent and so the resulting distribution is a hypergeometric distribution, not a binomial one. However, for N much larger than n, the binomial distribution is a good approximation, and widely used.'
@@ -321,7 +4848,7 @@ Math.p = {
 						closed: true
 					},
 					upper: {
-						value: Infinity,
+						value: params.n,
 						closed: true
 					}
 				};
@@ -335,7 +4862,17 @@ Math.p = {
 					min: 0,
 					max: 1,
 					step: 0.01,
-					value: 0.5
+					value: 0.5,
+					domain: {
+						lower: {
+							value: 0,
+							closed: true
+						},
+						upper: {
+							value: 1,
+							closed: true
+						}
+					}
 				},
 				{
 					id: 'n',
@@ -344,7 +4881,14 @@ Math.p = {
 					min: 0,
 					max: 1000,
 					step: 1,
-					value: 40
+					integer: true,
+					value: 40,
+					domain: {
+						lower: {
+							value: 0,
+							closed: true
+						}
+					}
 				}
 			],
 
@@ -360,14 +4904,86 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(k) {
+					if (!Math.h.isInt(k) || k < 0 || k > params.n) {
+						return -Infinity;
+					}
+
+					return Math.h.lnchoose(params.n, k) + Math.h.xlogy(k, params.p) + Math.h.xlogy(params.n - k, 1 - params.p);
+				};
+			},
+
 			cdf: function(params) {
 				return function(k) {
-					return Math.h.integral(Math.p.distribution.binomial.pdf(params), 0, k);
+					k = Math.floor(k);
+
+					if (k < 0) {
+						return 0;
+					} else if (k >= params.n) {
+						return 1;
+					}
+
+					return Math.h.betaI(1 - params.p, params.n - k, k + 1);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('binomial', params);
+			},
+
+			sf: function(params) {
+				return function(k) {
+					k = Math.floor(k);
+
+					if (k < 0) {
+						return 1;
+					} else if (k >= params.n) {
+						return 0;
+					}
+
+					return Math.h.betaI(params.p, k + 1, params.n - k);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('binomial', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return Math.p.variates.binomial(params.n, params.p, rng);
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.binomial.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				var m = (params.n + 1) * params.p;
+
+				// m - 1 and m are both modes when m is a whole number
+				return (Math.h.isInt(m) && m > 0) ? m - 1 : Math.floor(m);
+			},
+
+			entropy: function(params) {
+				return Math.p.integrateEntropy('binomial', params);
+			},
+
+			matchMoments: function(moments) {
+				var n = Math.round(moments.mean / (1 - moments.variance / moments.mean));
+
+				return {
+					p: moments.mean / n,
+					n: n
 				};
 			}
 		},
 
 		cauchy: {
+			title: 'Cauchy',
+
 			description: [
 				'The Cauchy distribution, named after Augustin Cauchy, is a continuous probability distribution. It is also known, especially among physicists, as the Lorentz distribution (after Hendrik Lorentz), Cauchy-Lorentz distribution, Lorentz(ian) function, or Breit-Wigner distribution. The simplest Cauchy distribution is called the standard Cauchy distribution. It is the distribution of a random variable that is the ratio of two independent standard normal variables.',
 				'The Cauchy distribution is often used in statistics as the canonical example of a "pathological" distribution since both its mean and its variance are undefined. The Cauchy distribution does not have finite moments of order greater than or equal to one; only fractional absolute moments exist. The Cauchy distribution has no moment generating function.',
@@ -411,7 +5027,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 0.5
+					value: 0.5,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -430,14 +5052,67 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return -Math.log(Math.PI * params.gamma) - Math.h.log1p(Math.pow((x - params.x0) / params.gamma, 2));
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
 					return 1 / Math.PI * Math.atan((x - params.x0) / params.gamma) + 0.5;
 				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('cauchy', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return 0.5 - 1 / Math.PI * Math.atan((x - params.x0) / params.gamma);
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					// the tangent does not reach infinity at the ends in floating point
+					if (p === 0 || p === 1) {
+						return (p === 0) ? -Infinity : Infinity;
+					}
+
+					return params.x0 + params.gamma * Math.tan(Math.PI * (p - 0.5));
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.cauchy.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return params.x0;
+			},
+
+			mode: function(params) {
+				return params.x0;
+			},
+
+			entropy: function(params) {
+				return Math.log(4 * Math.PI * params.gamma);
 			}
 		},
 
 		chiSquared: {
+			title: 'Chi-squared',
+
 			description: [
 				'The chi-squared distribution with k degrees of freedom is the distribution of a sum of the squares of k independent standard normal random variables. A special case of the gamma distribution, it is one of the most widely used probability distributions in inferential statistics, e.g., in hypothesis testing or in construction of confidence intervals. When it is being distinguished from the more general noncentral chi-squared distribution, this distribution is sometimes called the central chi-squared distribution.',
 					'The chi-squared distribution is used in the common chi-squared tests for goodness of fit of an observed distribution to a theoretical one, the independence of two criteria of classification of qualitative data, and in confidence interval estimation for a population standard deviation of a normal distribution from a sample standard deviation. Many other statistical tests also use this distribution, like Friedman\'s analysis of variance by ranks.'
@@ -472,7 +5147,13 @@ Math.p = {
 					min: 0,
 					max: 1000,
 					step: 1,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				},
 			],
 
@@ -488,14 +5169,66 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					if (x < 0) {
+						return -Infinity;
+					} else if (x === 0) {
+						return Math.log(Math.p.distribution.chiSquared.pdf(params)(x));
+					}
+
+					return (params.k / 2 - 1) * Math.log(x) - x / 2 - params.k / 2 * Math.LN2 - Math.h.lngamma(params.k / 2);
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.chiSquared.pdf(params), 0, x);
+					return (x <= 0) ? 0 : Math.h.gammaP(params.k / 2, x / 2);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('chiSquared', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return (x <= 0) ? 1 : Math.h.gammaQ(params.k / 2, x / 2);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('chiSquared', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return 2 * Math.p.variates.gamma(params.k / 2, rng);
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.chiSquared.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				return Math.max(params.k - 2, 0);
+			},
+
+			entropy: function(params) {
+				return params.k / 2 + Math.LN2 + Math.h.lngamma(params.k / 2) + (1 - params.k / 2) * Math.h.digamma(params.k / 2);
+			},
+
+			matchMoments: function(moments) {
+				return {
+					k: moments.mean
 				};
 			}
 		},
 
 		exponential: {
+			title: 'Exponential',
+
 			description: [
 				'The exponential distribution (a.k.a. negative exponential distribution) is the probability distribution that describes the time between events in a Poisson process, i.e. a process in which events occur continuously and independently at a constant average rate. It is the continuous analogue of the geometric distribution, and it has the key property of being memoryless. In addition to being used for the analysis of Poisson processes, it is found in various other contexts.',
 				'Note that the exponential distribution is not the same as the class of exponential families of distributions, which is a large class of probability distributions that includes the exponential distribution as one of its members, but also includes the normal distribution, binomial distribution, gamma distribution, Poisson, and many others.'
@@ -530,7 +5263,13 @@ Math.p = {
 					min: 0.01,
 					max: 50,
 					step: 0.01,
-					value: 0.5
+					value: 0.5,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -551,14 +5290,78 @@ Math.p = {
 
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return (x < 0) ? -Infinity : Math.log(params.lambda) - params.lambda * x;
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.exponential.pdf(params), 0, x);
+					return (x <= 0) ? 0 : 1 - Math.exp(-params.lambda * x);
+				};
+			},
+
+			logcdf: function(params) {
+				return function(x) {
+					return (x <= 0) ? -Infinity : Math.log(-Math.h.expm1(-params.lambda * x));
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return (x <= 0) ? 1 : Math.exp(-params.lambda * x);
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					return -Math.log(1 - p) / params.lambda;
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.exponential.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return Math.LN2 / params.lambda;
+			},
+
+			mode: function(params) {
+				return 0;
+			},
+
+			entropy: function(params) {
+				return 1 - Math.log(params.lambda);
+			},
+
+			mle: function(samples) {
+				return {
+					lambda: samples.length / Math.h.sSum(samples, function(el) {
+						return el;
+					})
+				};
+			},
+
+			matchMoments: function(moments) {
+				return {
+					lambda: 1 / moments.mean
 				};
 			}
 		},
 
 		fisherSnedecor: {
+			title: 'Fisher-Snedecor',
+
 			description: [
 				'The F-distribution is a continuous probability distribution. It is also known as Snedecor\'s F distribution or the Fisher-Snedecor distribution (after R. A. Fisher and George W. Snedecor). The F-distribution arises frequently as the null distribution of a test statistic, most notably in the analysis of variance.'
 			],
@@ -591,7 +5394,13 @@ Math.p = {
 					min: 0,
 					max: 1000,
 					step: 1,
-					value: 10
+					value: 10,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				},
 				{
 					id: 'd2',
@@ -600,7 +5409,13 @@ Math.p = {
 					min: 0,
 					max: 1000,
 					step: 1,
-					value: 10
+					value: 10,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -623,14 +5438,71 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					if (x < 0) {
+						return -Infinity;
+					} else if (x === 0) {
+						return Math.log(Math.p.distribution.fisherSnedecor.pdf(params)(x));
+					}
+
+					return params.d1 / 2 * Math.log(params.d1 / params.d2) + (params.d1 / 2 - 1) * Math.log(x) - (params.d1 + params.d2) / 2 * Math.h.log1p(params.d1 * x / params.d2) - Math.h.lnbeta(params.d1 / 2, params.d2 / 2);
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.fisherSnedecor.pdf(params), 0, x);
+					return (x <= 0) ? 0 : Math.h.betaI(params.d1 * x / (params.d1 * x + params.d2), params.d1 / 2, params.d2 / 2);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('fisherSnedecor', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return (x <= 0) ? 1 : Math.h.betaI(params.d2 / (params.d1 * x + params.d2), params.d2 / 2, params.d1 / 2);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('fisherSnedecor', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return (Math.p.variates.gamma(params.d1 / 2, rng) / params.d1) / (Math.p.variates.gamma(params.d2 / 2, rng) / params.d2);
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.fisherSnedecor.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				return (params.d1 > 2) ? (params.d1 - 2) / params.d1 * params.d2 / (params.d2 + 2) : 0;
+			},
+
+			entropy: function(params) {
+				var s = (params.d1 + params.d2) / 2;
+
+				return Math.log(params.d2 / params.d1) + Math.h.lnbeta(params.d1 / 2, params.d2 / 2) + (1 - params.d1 / 2) * Math.h.digamma(params.d1 / 2) - (1 + params.d2 / 2) * Math.h.digamma(params.d2 / 2) + s * Math.h.digamma(s);
+			},
+
+			matchMoments: function(moments) {
+				var d2 = 2 * moments.mean / (moments.mean - 1);
+
+				return {
+					d1: 2 * Math.pow(d2, 2) * (d2 - 2) / (moments.variance * Math.pow(d2 - 2, 2) * (d2 - 4) - 2 * Math.pow(d2, 2)),
+					d2: d2
 				};
 			}
 		},
 
 		gamma: {
+			title: 'Gamma',
+
 			description: [
 				'The gamma distribution is a two-parameter family of continuous probability distributions. The common exponential distribution and chi-squared distribution are special cases of the gamma distribution. There are three different parametrizations in common use. A shape parameter k and a scale parameter &theta; are used here.',
 				'This parameterization appears to be more common in econometrics and certain other applied fields, where e.g. the gamma distribution is frequently used to model waiting times. For instance, in life testing, the waiting time until death is a random variable that is frequently modeled with a gamma distribution.',
@@ -666,7 +5538,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 3
+					value: 3,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				},
 				{
 					id: 'theta',
@@ -675,7 +5553,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 2
+					value: 2,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -691,14 +5575,67 @@ Math.p = {
 				};
 			},
 
-			cdf: function(params) {
-				return function(x) {
-					return Math.h.integral(Math.p.distribution.gamma.pdf(params), 0, x);
+			logpdf: function(params) {
+				return function(x) {
+					if (x < 0) {
+						return -Infinity;
+					} else if (x === 0) {
+						return Math.log(Math.p.distribution.gamma.pdf(params)(x));
+					}
+
+					return (params.k - 1) * Math.log(x) - x / params.theta - Math.h.lngamma(params.k) - params.k * Math.log(params.theta);
+				};
+			},
+
+			cdf: function(params) {
+				return function(x) {
+					return (x <= 0) ? 0 : Math.h.gammaP(params.k, x / params.theta);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('gamma', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return (x <= 0) ? 1 : Math.h.gammaQ(params.k, x / params.theta);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('gamma', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return params.theta * Math.p.variates.gamma(params.k, rng);
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.gamma.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				return Math.max(params.k - 1, 0) * params.theta;
+			},
+
+			entropy: function(params) {
+				return params.k + Math.log(params.theta) + Math.h.lngamma(params.k) + (1 - params.k) * Math.h.digamma(params.k);
+			},
+
+			matchMoments: function(moments) {
+				return {
+					k: Math.pow(moments.mean, 2) / moments.variance,
+					theta: moments.variance / moments.mean
 				};
 			}
 		},
 
 		gaussian: {
+			title: 'Gaussian',
+
 			description: [
 				'The normal (or Gaussian) distribution is a very commonly occurring continuous probability distribution-a function that tells the probability that any real observation will fall between any two real limits or real numbers, as the curve approaches zero on either side. Normal distributions are extremely important in statistics and are often used in the natural and social sciences for real-valued random variables whose distributions are not known.',
 				'The normal distribution is immensely useful because of the central limit theorem, which states that, under mild conditions, the mean of many random variables independently drawn from the same distribution is distributed approximately normally, irrespective of the form of the original distribution: physical quantities that are expected to be the sum of many independent processes (such as measurement errors) often have a distribution very close to the normal. Moreover, many results and methods (such as propagation of uncertainty and least squares parameter fitting) can be derived analytically in explicit form when the relevant variables are normally distributed.',
@@ -743,7 +5680,13 @@ Math.p = {
 					min: 0.01,
 					max: 10000,
 					step: 0.01,
-					value: 50
+					value: 50,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -760,14 +5703,83 @@ Math.p = {
 
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return -0.5 * Math.log(2 * Math.PI) - Math.log(params.std) - Math.pow(x - params.mean, 2) / (2 * Math.pow(params.std, 2));
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.gaussian.pdf(params), 0, x);
+					return 0.5 * Math.h.erfc(-(x - params.mean) / (params.std * Math.SQRT2));
+				};
+			},
+
+			logcdf: function(params) {
+				return function(x) {
+					var z = (x - params.mean) / params.std;
+
+					// asymptotic expansion of the lower tail where the cdf underflows
+					if (z < -30) {
+						return -z * z / 2 - Math.log(-z) - 0.5 * Math.log(2 * Math.PI) + Math.log(1 - 1 / (z * z) + 3 / Math.pow(z, 4) - 15 / Math.pow(z, 6));
+					}
+
+					return Math.p.logCDF('gaussian', params)(x);
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return 0.5 * Math.h.erfc((x - params.mean) / (params.std * Math.SQRT2));
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('gaussian', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return params.mean + params.std * Math.p.variates.gaussian(rng);
+				});
+			},
+
+			median: function(params) {
+				return params.mean;
+			},
+
+			mode: function(params) {
+				return params.mean;
+			},
+
+			entropy: function(params) {
+				return 0.5 * Math.log(2 * Math.PI * Math.E * params.std * params.std);
+			},
+
+			mle: function(samples) {
+				var mean = Math.h.sSum(samples, function(el) {
+					return el;
+				}) / samples.length;
+
+				return {
+					mean: mean,
+					std: Math.sqrt(Math.h.sSum(samples, function(el) {
+						return Math.pow(el - mean, 2);
+					}) / samples.length)
+				};
+			},
+
+			matchMoments: function(moments) {
+				return {
+					mean: moments.mean,
+					std: Math.sqrt(moments.variance)
 				};
 			}
 		},
 
 		geometric: {
+			title: 'Geometric',
+
 			description: [
 				'The geometric distribution is either of two discrete probability distributions. The definition used here is: the probability distribution of the number Y = X - 1 of failures before the first success, supported on the set { 0, 1, 2, 3, ... }.'
 			],
@@ -801,7 +5813,17 @@ Math.p = {
 					min: 0.01,
 					max: 1,
 					step: 0.01,
-					value: 0.5
+					value: 0.5,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						},
+						upper: {
+							value: 1,
+							closed: true
+						}
+					}
 				}
 			],
 
@@ -817,20 +5839,99 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(k) {
+					return (!Math.h.isInt(k) || k < 0) ? -Infinity : Math.h.xlogy(k, 1 - params.p) + Math.log(params.p);
+				};
+			},
+
 			cdf: function(params) {
 				return function(k) {
-					return Math.h.integral(Math.p.distribution.geometric.pdf(params), 0, k);
+					return (k < 0) ? 0 : 1 - Math.pow(1 - params.p, Math.floor(k) + 1);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('geometric', params);
+			},
+
+			sf: function(params) {
+				return function(k) {
+					return (k < 0) ? 1 : Math.pow(1 - params.p, Math.floor(k) + 1);
+				};
+			},
+
+			quantile: function(params) {
+				var cdf = function(k) {
+					return 1 - Math.pow(1 - params.p, k + 1);
+				};
+
+				return function(p) {
+					var k;
+
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					if (p === 1) {
+						return Infinity;
+					}
+
+					k = Math.max(0, Math.ceil(Math.log(1 - p) / Math.log(1 - params.p) - 1));
+
+					// correct for rounding in the logarithms right at a step of the cdf
+					if (k > 0 && cdf(k - 1) >= p) {
+						k -= 1;
+					} else if (cdf(k) < p) {
+						k += 1;
+					}
+
+					return k;
+				};
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return Math.floor(Math.log(Math.p.variates.uniform(rng)) / Math.log(1 - params.p));
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.geometric.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				return 0;
+			},
+
+			entropy: function(params) {
+				return -(Math.h.xlogy(1 - params.p, 1 - params.p) + Math.h.xlogy(params.p, params.p)) / params.p;
+			},
+
+			mle: function(samples) {
+				return {
+					p: samples.length / (samples.length + Math.h.sSum(samples, function(el) {
+						return el;
+					}))
+				};
+			},
+
+			matchMoments: function(moments) {
+				return {
+					p: 1 / (1 + moments.mean)
 				};
 			}
 		},
 
 		gompertz: {
+			title: 'Gompertz',
+
 			description: [
 				'The Gompertz distribution is a continuous probability distribution. The Gompertz distribution is often applied to describe the distribution of adult lifespans by demographers and actuaries. Related fields of science such as biology and gerontology also considered the Gompertz distribution for the analysis of survival. More recently, computer scientists have also started to model the failure rates of computer codes by the Gompertz distribution. In Marketing Science, it has been used as an individual-level simulation for customer lifetime value modeling. Early users in the 1990s for the Gompertz distribution in CLV models included Edge Consulting and BrandScience.'
 			],
 
 			formulas: [
-				'\\mathbf{mgf} = \\eta e^{\\eta}\\int_1^\\infty \\! e^{-\\eta v} v^{-t / b} \\, \\mathrm{d}v, t > 0',
+				'\\mathbf{mgf} = e^{\\eta} \\eta^{-t / b} \\Gamma(1 + t / b, \\eta), t > -b',
 				'\\mathbf{pdf} = b \\eta e^{b x}e^{\\eta}\\exp{\\big(-\\eta e^{b x})}',
 				'\\mathbf{cdf} = 1 - \\exp{(-\\eta(e^{bx} - 1)\\big)}'
 			],
@@ -858,7 +5959,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.001,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				},
 				{
 					id: 'b',
@@ -867,15 +5974,19 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.001,
-					value: 2.322
+					value: 2.322,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
 			mgf: function(params) {
 				return function(t) {
-					return params.n * Math.exp(params.n) * Math.h.sum(function(v) {
-						return Math.exp(-params.n * v) * Math.pow(v, -t / params.b);
-					}, 1, Infinity);
+					return Math.exp(params.n) * Math.pow(params.n, -t / params.b) * Math.h.gamma(1 + t / params.b) * Math.h.gammaQ(1 + t / params.b, params.n);
 				};
 			},
 
@@ -885,14 +5996,64 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return (x < 0) ? -Infinity : Math.log(params.b * params.n) + params.b * x + params.n - params.n * Math.exp(params.b * x);
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
 					return 1 - Math.exp(-params.n * (Math.exp(params.b * x) - 1));
 				};
+			},
+
+			logcdf: function(params) {
+				return function(x) {
+					return (x <= 0) ? -Infinity : Math.log(-Math.h.expm1(-params.n * Math.h.expm1(params.b * x)));
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return (x <= 0) ? 1 : Math.exp(-params.n * Math.h.expm1(params.b * x));
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					return Math.log(1 - Math.log(1 - p) / params.n) / params.b;
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.gompertz.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return Math.log(1 + Math.LN2 / params.n) / params.b;
+			},
+
+			mode: function(params) {
+				return (params.n < 1) ? -Math.log(params.n) / params.b : 0;
+			},
+
+			entropy: function(params) {
+				return Math.p.integrateEntropy('gompertz', params);
 			}
 		},
 
 		gumbel: {
+			title: 'Gumbel',
+
 			description: [
 				'The Gumbel distribution is used to model the distribution of the maximum (or the minimum) of a number of samples of various distributions. Such a distribution might be used to represent the distribution of the maximum level of a river in a particular year if there was a list of maximum values for the past ten years. It is useful in predicting the chance that an extreme earthquake, flood or other natural disaster will occur.',
 				'The potential applicability of the Gumbel distribution to represent the distribution of maxima relates to extreme value theory which indicates that it is likely to be useful if the distribution of the underlying sample data is of the normal or exponential type.',
@@ -938,7 +6099,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 2
+					value: 2,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -956,14 +6123,75 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					var z = (x - params.mu) / params.beta;
+
+					return -Math.log(params.beta) - (z + Math.exp(-z));
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.rayleigh.pdf(params), 0, x);
+					return Math.exp(-Math.exp(-(x - params.mu) / params.beta));
+				};
+			},
+
+			logcdf: function(params) {
+				return function(x) {
+					return -Math.exp(-(x - params.mu) / params.beta);
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return -Math.h.expm1(-Math.exp(-(x - params.mu) / params.beta));
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					return params.mu - params.beta * Math.log(-Math.log(p));
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.gumbel.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return params.mu - params.beta * Math.log(Math.LN2);
+			},
+
+			mode: function(params) {
+				return params.mu;
+			},
+
+			entropy: function(params) {
+				return Math.log(params.beta) + Math.h.EM + 1;
+			},
+
+			matchMoments: function(moments) {
+				var beta = Math.sqrt(6 * moments.variance) / Math.PI;
+
+				return {
+					mu: moments.mean - Math.h.EM * beta,
+					beta: beta
 				};
 			}
 		},
 
 		hypSecant: {
+			title: 'Hyperbolic Secant',
+
 			description: [
 				'The hyperbolic secant distribution is a continuous probability distribution whose probability density function and characteristic function are proportional to the hyperbolic secant function. The hyperbolic secant function is equivalent to the inverse hyperbolic cosine, and thus this distribution is also called the inverse-cosh distribution.'
 			],
@@ -1003,14 +6231,69 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					var y = Math.abs(Math.PI / 2 * x);
+
+					// ln(sech(y) / 2) without overflowing cosh for large y
+					return -y - Math.h.log1p(Math.exp(-2 * y));
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
 					return 2 / Math.PI * Math.atan(Math.exp(Math.PI / 2 * x));
 				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('hypSecant', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return 2 / Math.PI * Math.atan(Math.exp(-Math.PI / 2 * x));
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					if (p === 1) {
+						return Infinity;
+					}
+
+					return 2 / Math.PI * Math.log(Math.tan(Math.PI / 2 * p));
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.hypSecant.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return 0;
+			},
+
+			mode: function(params) {
+				return 0;
+			},
+
+			entropy: function(params) {
+				return 2 * Math.LN2;
 			}
 		},
 
 		invGaussian: {
+			title: 'Inverse Gaussian',
+
 			description: [
 				'The inverse Gaussian distribution (also known as the Wald distribution) is a two-parameter family of continuous probability distributions with support on (0,&infin;).',
 				'As &lambda; tends to infinity, the inverse Gaussian distribution becomes more like a normal (Gaussian) distribution. The inverse Gaussian distribution has several properties analogous to a Gaussian distribution. The name can be misleading: it is an "inverse" only in that, while the Gaussian describes a Brownian Motion\'s level at a fixed time, the inverse Gaussian describes the distribution of the time a Brownian Motion with positive drift takes to reach a fixed positive level.'
@@ -1045,7 +6328,13 @@ Math.p = {
 					min: 0.01,
 					max: 100,
 					step: 0.01,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				},
 				{
 					id: 'mean',
@@ -1054,7 +6343,13 @@ Math.p = {
 					min: 0.01,
 					max: 100,
 					step: 0.01,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1078,14 +6373,95 @@ Math.p = {
 
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return (x <= 0) ? -Infinity : 0.5 * Math.log(params.shape / (2 * Math.PI * Math.pow(x, 3))) - params.shape * Math.pow(x - params.mean, 2) / (2 * Math.pow(params.mean, 2) * x);
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.invGaussian.pdf(params), 0, x);
+					if (x <= 0) {
+						return 0;
+					}
+
+					var r = Math.sqrt(params.shape / x);
+					var phi = Math.p.distribution.gaussian.cdf({ mean: 0, std: 1 });
+					var tail = phi(-r * (x / params.mean + 1));
+
+					// the second term is a product of a huge exponential and a tiny tail probability
+					return phi(r * (x / params.mean - 1)) + ((tail > 0) ? Math.exp(2 * params.shape / params.mean + Math.log(tail)) : 0);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('invGaussian', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					if (x <= 0) {
+						return 1;
+					}
+
+					var r = Math.sqrt(params.shape / x);
+					var phi = Math.p.distribution.gaussian.cdf({ mean: 0, std: 1 });
+					var tail = phi(-r * (x / params.mean + 1));
+
+					return phi(-r * (x / params.mean - 1)) - ((tail > 0) ? Math.exp(2 * params.shape / params.mean + Math.log(tail)) : 0);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('invGaussian', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					// transformation with multiple roots of Michael, Schucany and Haas
+					var y = Math.pow(Math.p.variates.gaussian(rng), 2);
+					var x = params.mean + Math.pow(params.mean, 2) * y / (2 * params.shape) - params.mean / (2 * params.shape) * Math.sqrt(4 * params.mean * params.shape * y + Math.pow(params.mean * y, 2));
+
+					return (rng() <= params.mean / (params.mean + x)) ? x : Math.pow(params.mean, 2) / x;
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.invGaussian.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				return params.mean * (Math.sqrt(1 + 9 * params.mean * params.mean / (4 * params.shape * params.shape)) - 3 * params.mean / (2 * params.shape));
+			},
+
+			entropy: function(params) {
+				return Math.p.integrateEntropy('invGaussian', params);
+			},
+
+			mle: function(samples) {
+				var mean = Math.h.sSum(samples, function(el) {
+					return el;
+				}) / samples.length;
+
+				return {
+					shape: samples.length / Math.h.sSum(samples, function(el) {
+						return 1 / el - 1 / mean;
+					}),
+					mean: mean
+				};
+			},
+
+			matchMoments: function(moments) {
+				return {
+					shape: Math.pow(moments.mean, 3) / moments.variance,
+					mean: moments.mean
 				};
 			}
 		},
 
 		irwinHall: {
+			title: 'Irwin-Hall',
+
 			description: [
 				'The Irwin-Hall distribution, named after Joseph Oscar Irwin and Philip Hall, is probability distribution for a random variable defined as sum of a number of independent random variables, each having a uniform distribution. For this reason it is also known as the uniform sum distribution.',
 				'The generation of pseudo-random numbers having an approximately normal distribution is sometimes accomplished by computing the sum of a number of pseudo-random numbers having a uniform distribution; usually for the sake of simplicity of programming. Rescaling the Irwin-Hall distribution provides the exact distribution of the random variates being generated.'
@@ -1120,7 +6496,14 @@ Math.p = {
 					min: 0,
 					max: 1000,
 					step: 1,
-					value: 2
+					integer: true,
+					value: 2,
+					domain: {
+						lower: {
+							value: 1,
+							closed: true
+						}
+					}
 				}
 			],
 
@@ -1132,28 +6515,84 @@ Math.p = {
 					kurtosis: Math.h.round(-6 / (5 * params.n), 3)
 				};
 
-				/*return function(t) {
-					return Math.pow((Math.exp(t) - 1) / t, params.n);
-				};*/
+				/*return function(t) {
+					return Math.pow((Math.exp(t) - 1) / t, params.n);
+				};*/
+			},
+
+			pdf: function(params) {
+				return function(x) {
+					return Math.h.uniformSum(params.n, x);
+				};
+			},
+
+			logpdf: function(params) {
+				return function(x) {
+					return (x < 0 || x > params.n) ? -Infinity : Math.log(Math.p.distribution.irwinHall.pdf(params)(x));
+				};
+			},
+
+			cdf: function(params) {
+				return function(x) {
+					if (x <= 0) {
+						return 0;
+					} else if (x >= params.n) {
+						return 1;
+					}
+
+					return Math.h.uniformSum(params.n, x, true);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('irwinHall', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return Math.p.distribution.irwinHall.cdf(params)(params.n - x);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('irwinHall', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					var i;
+					var x = 0;
+
+					for (i = 0; i < params.n; i++) {
+						x += rng();
+					}
+
+					return x;
+				});
 			},
 
-			pdf: function(params) {
-				return function(x) {
-					return 1 / (2 * Math.h.factorial(params.n - 1)) * Math.h.sum(function(k) {
-						return Math.pow(-1, k) * Math.h.choose(params.n, k) * Math.pow(x - k, params.n - 1) * Math.h.sgn(x - k);
-					}, 0, params.n);
-				};
+			median: function(params) {
+				return params.n / 2;
+			},
 
+			mode: function(params) {
+				return params.n / 2;
 			},
 
-			cdf: function(params) {
-				return function(x) {
-					return Math.h.integral(Math.p.distribution.irwinHall.pdf(params), 0, x);
+			entropy: function(params) {
+				return Math.p.integrateEntropy('irwinHall', params);
+			},
+
+			matchMoments: function(moments) {
+				return {
+					n: Math.round(2 * moments.mean)
 				};
 			}
 		},
 
 		laplace: {
+			title: 'Laplace',
+
 			description: [
 				'The Laplace distribution is a continuous probability distribution named after Pierre-Simon Laplace. It is also sometimes called the double exponential distribution, because it can be thought of as two exponential distributions (with an additional location parameter) spliced together back-to-back, although the term \'double exponential distribution\' is also sometimes used to refer to the Gumbel distribution. The difference between two independent identically distributed exponential random variables is governed by a Laplace distribution, as is a Brownian motion evaluated at an exponentially distributed random time. Increments of Laplace motion or a variance gamma process evaluated over the time scale also have a Laplace distribution.'
 			],
@@ -1196,7 +6635,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1212,6 +6657,12 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return -Math.log(2 * params.scale) - Math.abs(x - params.mean) / params.scale;
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
 					if (x < params.mean) {
@@ -1222,10 +6673,87 @@ Math.p = {
 						return undefined;
 					}
 				};
+			},
+
+			logcdf: function(params) {
+				return function(x) {
+					if (x < params.mean) {
+						return Math.log(0.5) + (x - params.mean) / params.scale;
+					} else {
+						return Math.h.log1p(-0.5 * Math.exp(-(x - params.mean) / params.scale));
+					}
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					if (x < params.mean) {
+						return 1 - 0.5 * Math.exp((x - params.mean) / params.scale);
+					} else {
+						return 0.5 * Math.exp(-(x - params.mean) / params.scale);
+					}
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					if (p < 0.5) {
+						return params.mean + params.scale * Math.log(2 * p);
+					} else {
+						return params.mean - params.scale * Math.log(2 - 2 * p);
+					}
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.laplace.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return params.mean;
+			},
+
+			mode: function(params) {
+				return params.mean;
+			},
+
+			entropy: function(params) {
+				return Math.log(2 * Math.E * params.scale);
+			},
+
+			mle: function(samples) {
+				var sorted = samples.slice().sort(function(a, b) {
+					return a - b;
+				});
+				var median = (sorted[Math.floor((sorted.length - 1) / 2)] + sorted[Math.ceil((sorted.length - 1) / 2)]) / 2;
+
+				return {
+					mean: median,
+					scale: Math.h.sSum(samples, function(el) {
+						return Math.abs(el - median);
+					}) / samples.length
+				};
+			},
+
+			matchMoments: function(moments) {
+				return {
+					mean: moments.mean,
+					scale: Math.sqrt(moments.variance / 2)
+				};
 			}
 		},
 
 		logarithmic: {
+			title: 'Logarithmic',
+
 			description: [
 				'The logarithmic distribution (also known as the logarithmic series distribution or the log-series distribution) is a discrete probability distribution derived from the Maclaurin series expansion.'
 			],
@@ -1259,7 +6787,17 @@ Math.p = {
 					min: 0.01,
 					max: 0.99,
 					step: 0.01,
-					value: 0.5
+					value: 0.5,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						},
+						upper: {
+							value: 1,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1275,14 +6813,114 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(k) {
+					return (!Math.h.isInt(k) || k < 1) ? -Infinity : -Math.log(-Math.h.log1p(-params.p)) + k * Math.log(params.p) - Math.log(k);
+				};
+			},
+
 			cdf: function(params) {
 				return function(k) {
-					return Math.h.integral(Math.p.distribution.logarithmic.pdf(params), 0, k);
+					var i;
+					var s = 0;
+					var tail = Math.p.distribution.logarithmic.sf(params)(k);
+
+					if (tail < 0.5) {
+						return 1 - tail;
+					}
+
+					for (i = 1; i <= k; i++) {
+						s += Math.pow(params.p, i) / i;
+					}
+
+					return -s / Math.log(1 - params.p);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('logarithmic', params);
+			},
+
+			sf: function(params) {
+				return function(k) {
+					var t;
+					var i = Math.max(1, Math.floor(k) + 1);
+					var s = 0;
+
+					// terms decrease faster than a geometric series so the sum stops once they are negligible
+					do {
+						t = Math.pow(params.p, i) / i;
+						s += t;
+						i += 1;
+					} while (t > s * 1E-17);
+
+					return -s / Math.log(1 - params.p);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('logarithmic', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					// algorithm LK of Kemp
+					var u;
+					var v;
+					var q;
+					var k;
+					var r = Math.log(1 - params.p);
+
+					while (true) {
+						v = rng();
+
+						if (v >= params.p) {
+							return 1;
+						}
+
+						u = Math.p.variates.uniform(rng);
+						q = -Math.h.expm1(r * u);
+
+						if (v <= q * q) {
+							k = Math.floor(1 + Math.log(v) / Math.log(q));
+
+							if (k >= 1) {
+								return k;
+							}
+						} else {
+							return (v >= q) ? 1 : 2;
+						}
+					}
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.logarithmic.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				return 1;
+			},
+
+			entropy: function(params) {
+				return Math.p.integrateEntropy('logarithmic', params);
+			},
+
+			matchMoments: function(moments) {
+				// the mean rises from 1 toward infinity as p approaches 1
+				var p = Math.h.root(function(p) {
+					return -p / ((1 - p) * Math.log(1 - p)) - moments.mean;
+				}, 1E-9, 1 - 1E-12);
+
+				return {
+					p: (typeof p === 'undefined') ? NaN : p
 				};
 			}
 		},
 
 		logistic: {
+			title: 'Logistic',
+
 			description: [
 				'The logistic distribution is a continuous probability distribution. Its cumulative distribution function is the logistic function, which appears in logistic regression and feedforward neural networks. It resembles the normal distribution in shape but has heavier tails (higher kurtosis). The Tukey lambda distribution can be considered a generalization of the logistic distribution since it adds a shape parameter, &lambda; (the Tukey distribution becomes logistic when &lambda; is zero).'
 			],
@@ -1325,7 +6963,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1341,14 +6985,75 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					var z = Math.abs(x - params.mu) / params.s;
+
+					return -z - Math.log(params.s) - 2 * Math.h.log1p(Math.exp(-z));
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
 					return 1 / (1 + Math.exp(-(x - params.mu) / params.s));
 				};
+			},
+
+			logcdf: function(params) {
+				return function(x) {
+					var z = (x - params.mu) / params.s;
+
+					return (z < 0) ? z - Math.h.log1p(Math.exp(z)) : -Math.h.log1p(Math.exp(-z));
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return 1 / (1 + Math.exp((x - params.mu) / params.s));
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					return params.mu + params.s * Math.log(p / (1 - p));
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.logistic.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return params.mu;
+			},
+
+			mode: function(params) {
+				return params.mu;
+			},
+
+			entropy: function(params) {
+				return Math.log(params.s) + 2;
+			},
+
+			matchMoments: function(moments) {
+				return {
+					mu: moments.mean,
+					s: Math.sqrt(3 * moments.variance) / Math.PI
+				};
 			}
 		},
 
 		pareto: {
+			title: 'Pareto',
+
 			description: [
 				'The Pareto distribution, named after the Italian civil engineer, economist, and sociologist Vilfredo Pareto, is a power law probability distribution that is used in description of social, scientific, geophysical, actuarial, and many other types of observable phenomena.'
 			],
@@ -1369,7 +7074,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				},
 				{
 					id: 'a',
@@ -1378,7 +7089,13 @@ Math.p = {
 					min: 1,
 					max: 1000,
 					step: 0.01,
-					value: 2
+					value: 2,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1412,14 +7129,84 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return (x < params.xm) ? -Infinity : Math.log(params.a) + params.a * Math.log(params.xm) - (params.a + 1) * Math.log(x);
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.pareto.pdf(params), 0, x);
+					return (x <= params.xm) ? 0 : 1 - Math.pow(params.xm / x, params.a);
+				};
+			},
+
+			logcdf: function(params) {
+				return function(x) {
+					return (x <= params.xm) ? -Infinity : Math.h.log1p(-Math.pow(params.xm / x, params.a));
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return (x <= params.xm) ? 1 : Math.pow(params.xm / x, params.a);
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					return params.xm * Math.pow(1 - p, -1 / params.a);
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.pareto.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return params.xm * Math.pow(2, 1 / params.a);
+			},
+
+			mode: function(params) {
+				return params.xm;
+			},
+
+			entropy: function(params) {
+				return Math.log(params.xm / params.a) + 1 / params.a + 1;
+			},
+
+			mle: function(samples) {
+				var xm = Math.min.apply(null, samples);
+
+				return {
+					xm: xm,
+					a: samples.length / Math.h.sSum(samples, function(el) {
+						return Math.log(el / xm);
+					})
+				};
+			},
+
+			matchMoments: function(moments) {
+				var a = 1 + Math.sqrt(1 + Math.pow(moments.mean, 2) / moments.variance);
+
+				return {
+					xm: moments.mean * (a - 1) / a,
+					a: a
 				};
 			}
 		},
 
 		poisson: {
+			title: 'Poisson',
+
 			description: [
 				'The Poisson distribution, named after French mathematician Siméon Denis Poisson, is a discrete probability distribution that expresses the probability of a given number of events occurring in a fixed interval of time and/or space if these events occur with a known average rate and independently of the time since the last event. The Poisson distribution can also be used for the number of events in other specified intervals such as distance, area or volume.',
 				'For instance, an individual keeping track of the amount of mail they receive each day may notice that they receive an average number of 4 letters per day. As it is reasonable to assume that receiving one piece of mail will not affect the arrival times of future pieces of mail-that pieces of mail from a wide range of sources arrive independently of one another-the number of pieces of mail received per day would obey a Poisson distribution. Other examples might include: the number of phone calls received by a call center per hour, the number of decay events per second from a radioactive source, or the number of taxis passing a particular street corner per hour.'
@@ -1456,7 +7243,13 @@ Math.p = {
 					min: 0.01,
 					max: 20,
 					step: 0.01,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1472,14 +7265,69 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(k) {
+					return (!Math.h.isInt(k) || k < 0) ? -Infinity : Math.h.xlogy(k, params.lambda) - params.lambda - Math.h.lngamma(k + 1);
+				};
+			},
+
 			cdf: function(params) {
 				return function(k) {
-					return Math.h.integral(Math.p.distribution.poisson.pdf(params), 0, k);
+					return (k < 0) ? 0 : Math.h.gammaQ(Math.floor(k) + 1, params.lambda);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('poisson', params);
+			},
+
+			sf: function(params) {
+				return function(k) {
+					return (k < 0) ? 1 : Math.h.gammaP(Math.floor(k) + 1, params.lambda);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('poisson', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return Math.p.variates.poisson(params.lambda, rng);
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.poisson.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				// lambda - 1 and lambda are both modes when lambda is a whole number
+				return Math.ceil(params.lambda) - 1;
+			},
+
+			entropy: function(params) {
+				return Math.p.integrateEntropy('poisson', params);
+			},
+
+			mle: function(samples) {
+				return {
+					lambda: Math.h.sSum(samples, function(el) {
+						return el;
+					}) / samples.length
+				};
+			},
+
+			matchMoments: function(moments) {
+				return {
+					lambda: moments.mean
 				};
 			}
 		},
 
 		rayleigh: {
+			title: 'Rayleigh',
+
 			description: [
 				'The Rayleigh distribution is a continuous probability distribution for positive-valued random variables. A Rayleigh distribution is often observed when the overall magnitude of a vector is related to its directional components. One example where the Rayleigh distribution naturally arises is when wind velocity is analyzed into its orthogonal 2-dimensional vector components. Assuming that each component is uncorrelated, normally distributed with equal variance, and zero mean, then the overall wind speed (vector magnitude) will be characterized by a Rayleigh distribution. A second example of the distribution arises in the case of random complex numbers whose real and imaginary components are independently and identically distributed Gaussian with equal variance and zero mean. In that case, the absolute value of the complex number is Rayleigh-distributed.'
 			],
@@ -1513,37 +7361,107 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 2
+					value: 2,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
-			mgf: function(params) {
-				return {
-					mean: Math.h.round(params.sigma * Math.sqrt(Math.PI / 2), 3),
-					variance: Math.h.round((4 - Math.PI) / 2 * Math.pow(params.sigma, 2), 3),
-					skewness: Math.h.round(2 * Math.sqrt(Math.PI) * (Math.PI - 3) / Math.pow(4 - Math.PI, 3 / 2), 3),
-					kurtosis: Math.h.round(-(6 * Math.pow(Math.PI, 2) - 24 * Math.PI + 16) / Math.pow(4 - Math.PI, 2), 3)
-				};
+			mgf: function(params) {
+				return {
+					mean: Math.h.round(params.sigma * Math.sqrt(Math.PI / 2), 3),
+					variance: Math.h.round((4 - Math.PI) / 2 * Math.pow(params.sigma, 2), 3),
+					skewness: Math.h.round(2 * Math.sqrt(Math.PI) * (Math.PI - 3) / Math.pow(4 - Math.PI, 3 / 2), 3),
+					kurtosis: Math.h.round(-(6 * Math.pow(Math.PI, 2) - 24 * Math.PI + 16) / Math.pow(4 - Math.PI, 2), 3)
+				};
+
+				/*return function(t) {
+					return 1 + params.sigma * t * Math.exp(Math.pow(params.sigma, 2) * Math.pow(t, 2) / 2) * Math.sqrt(Math.PI / 2) * (Math.h.erf(params.sigma * t / Math.sqrt(2)) + 1);
+				};*/
+			},
+
+			pdf: function(params) {
+				return function(x) {
+					return x / Math.pow(params.sigma, 2) * Math.exp(-Math.pow(x, 2) / (2 * Math.pow(params.sigma, 2)));
+				};
+			},
+
+			logpdf: function(params) {
+				return function(x) {
+					return (x < 0) ? -Infinity : Math.log(x) - 2 * Math.log(params.sigma) - Math.pow(x, 2) / (2 * Math.pow(params.sigma, 2));
+				};
+			},
+
+			cdf: function(params) {
+				return function(x) {
+					return (x <= 0) ? 0 : 1 - Math.exp(-Math.pow(x, 2) / (2 * Math.pow(params.sigma, 2)));
+				};
+			},
+
+			logcdf: function(params) {
+				return function(x) {
+					return (x <= 0) ? -Infinity : Math.log(-Math.h.expm1(-Math.pow(x, 2) / (2 * Math.pow(params.sigma, 2))));
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return (x <= 0) ? 1 : Math.exp(-Math.pow(x, 2) / (2 * Math.pow(params.sigma, 2)));
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					return params.sigma * Math.sqrt(-2 * Math.log(1 - p));
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.rayleigh.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return params.sigma * Math.sqrt(2 * Math.LN2);
+			},
+
+			mode: function(params) {
+				return params.sigma;
+			},
 
-				/*return function(t) {
-					return 1 + params.sigma * t * Math.exp(Math.pow(params.sigma, 2) * Math.pow(t, 2) / 2) * Math.sqrt(Math.PI / 2) * (Math.h.erf(params.sigma * t / Math.sqrt(2)) + 1);
-				};*/
+			entropy: function(params) {
+				return 1 + Math.log(params.sigma / Math.SQRT2) + Math.h.EM / 2;
 			},
 
-			pdf: function(params) {
-				return function(x) {
-					return x / Math.pow(params.sigma, 2) * Math.exp(-Math.pow(x, 2) / (2 * Math.pow(params.sigma, 2)));
+			mle: function(samples) {
+				return {
+					sigma: Math.sqrt(Math.h.sSum(samples, function(el) {
+						return el * el;
+					}) / (2 * samples.length))
 				};
 			},
 
-			cdf: function(params) {
-				return function(x) {
-					return Math.h.integral(Math.p.distribution.rayleigh.pdf(params), 0, x);
+			matchMoments: function(moments) {
+				return {
+					sigma: moments.mean / Math.sqrt(Math.PI / 2)
 				};
 			}
 		},
 
 		skellam: {
+			title: 'Skellam',
+
 			description: [
 				'The Skellam distribution is the discrete probability distribution of the difference n_1-n_2 of two statistically independent random variables N_1 and N_2 each having Poisson distributions with different expected values mu_1 and mu_2. It is useful in describing the statistics of the difference of two images with simple photon noise, as well as describing the point spread distribution in sports where all scored points are equal, such as baseball, hockey and soccer.',
 				'The distribution is also applicable to a special case of the difference of dependent Poisson random variables, but just the obvious case where the two variables have a common additive random contribution which is cancelled by the differencing.'
@@ -1577,7 +7495,13 @@ Math.p = {
 					min: 0,
 					max: 1000,
 					step: 0.01,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: true
+						}
+					}
 				},
 				{
 					id: 'mean2',
@@ -1586,7 +7510,13 @@ Math.p = {
 					min: 0,
 					max: 1000,
 					step: 0.01,
-					value: 3
+					value: 3,
+					domain: {
+						lower: {
+							value: 0,
+							closed: true
+						}
+					}
 				}
 			],
 
@@ -1597,19 +7527,110 @@ Math.p = {
 			},
 
 			pdf: function(params) {
+				var logpdf = Math.p.distribution.skellam.logpdf(params);
+
+				// the series of the modified bessel function does not return for large arguments, its logarithm does
+				return function(k) {
+					return Math.exp(logpdf(k));
+				};
+			},
+
+			logpdf: function(params) {
 				return function(k) {
-					return Math.exp(-(params.mean1 + params.mean2)) * Math.pow(params.mean1 / params.mean2, k / 2) * Math.h.besselI(Math.abs(k), 2 * Math.sqrt(params.mean1 * params.mean2));
+					if (!Math.h.isInt(k)) {
+						return -Infinity;
+					} else if (params.mean2 === 0) {
+						// reduces to a poisson distribution of the first variable
+						return (k < 0) ? -Infinity : Math.h.xlogy(k, params.mean1) - params.mean1 - Math.h.lngamma(k + 1);
+					} else if (params.mean1 === 0) {
+						return (k > 0) ? -Infinity : Math.h.xlogy(-k, params.mean2) - params.mean2 - Math.h.lngamma(1 - k);
+					}
+
+					return -(params.mean1 + params.mean2) + k / 2 * Math.log(params.mean1 / params.mean2) + Math.h.lnbesselI(Math.abs(k), 2 * Math.sqrt(params.mean1 * params.mean2));
 				};
 			},
 
 			cdf: function(params) {
 				return function(k) {
-					return Math.h.integral(Math.p.distribution.skellam.pdf(params), 0, k);
+					var n;
+					var w;
+					var s = 0;
+
+					k = Math.floor(k);
+
+					// condition on the second poisson variable: X = N1 - N2 <= k if and only if N1 <= k + N2
+					for (n = 0; ; n++) {
+						w = (params.mean2 > 0) ? Math.exp(n * Math.log(params.mean2) - params.mean2 - Math.h.lngamma(n + 1)) : (n === 0) ? 1 : 0;
+						s += w * ((k + n < 0) ? 0 : Math.h.gammaQ(k + n + 1, params.mean1));
+
+						if (n > params.mean2 && (w === 0 || w <= s * 1E-17)) {
+							break;
+						}
+					}
+
+					return s;
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('skellam', params);
+			},
+
+			sf: function(params) {
+				return function(k) {
+					var n;
+					var w;
+					var s = 0;
+
+					k = Math.floor(k);
+
+					// condition on the second poisson variable: X = N1 - N2 > k if and only if N1 > k + N2
+					for (n = 0; ; n++) {
+						w = (params.mean2 > 0) ? Math.exp(n * Math.log(params.mean2) - params.mean2 - Math.h.lngamma(n + 1)) : (n === 0) ? 1 : 0;
+						s += w * ((k + n < 0) ? 1 : Math.h.gammaP(k + n + 1, params.mean1));
+
+						if (n > params.mean2 && (w === 0 || w <= s * 1E-17)) {
+							break;
+						}
+					}
+
+					return s;
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('skellam', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return Math.p.variates.poisson(params.mean1, rng) - Math.p.variates.poisson(params.mean2, rng);
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.skellam.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				return Math.p.findMode('skellam', params);
+			},
+
+			entropy: function(params) {
+				return Math.p.integrateEntropy('skellam', params);
+			},
+
+			matchMoments: function(moments) {
+				return {
+					mean1: (moments.variance + moments.mean) / 2,
+					mean2: (moments.variance - moments.mean) / 2
 				};
 			}
 		},
 
 		studentsT: {
+			title: 'Student\'s T',
+
 			description: [
 				'Student\'s t-distribution (or simply the t-distribution) is a family of continuous probability distributions that arise when estimating the mean of a normally distributed population in situations where the sample size is small and population standard deviation is unknown. Whereas a normal distribution describes a full population, t-distributions describe samples drawn from a full population; accordingly, the t-distribution for each sample size is different, and the larger the sample, the more the distribution resembles a normal distribution.',
 				'The t-distribution plays a role in a number of widely used statistical analyses, including the Student\'s t-test for assessing the statistical significance of the difference between two sample means, the construction of confidence intervals for the difference between two population means, and in linear regression analysis. The Student\'s t-distribution also arises in the Bayesian analysis of data from a normal family.',
@@ -1645,7 +7666,13 @@ Math.p = {
 					min: 1,
 					max: 1000,
 					step: 1,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1666,14 +7693,69 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return Math.h.lngamma((params.v + 1) / 2) - Math.h.lngamma(params.v / 2) - 0.5 * Math.log(params.v * Math.PI) - (params.v + 1) / 2 * Math.h.log1p(Math.pow(x, 2) / params.v);
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return 1 / (1 + Math.exp(-(x - params.mu) / params.s));
+					var tail;
+
+					// far out the beta argument underflows, so use the leading term of the tail instead
+					if (Math.abs(x) > 1E150) {
+						tail = Math.exp(params.v / 2 * (Math.log(params.v) - 2 * Math.log(Math.abs(x))) - Math.log(params.v) - Math.h.lnbeta(params.v / 2, 0.5));
+					} else {
+						tail = 0.5 * Math.h.betaI(params.v / (params.v + Math.pow(x, 2)), params.v / 2, 0.5);
+					}
+
+					return (x > 0) ? 1 - tail : tail;
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('studentsT', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return Math.p.distribution.studentsT.cdf(params)(-x);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('studentsT', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return Math.p.variates.gaussian(rng) / Math.sqrt(2 * Math.p.variates.gamma(params.v / 2, rng) / params.v);
+				});
+			},
+
+			median: function(params) {
+				return 0;
+			},
+
+			mode: function(params) {
+				return 0;
+			},
+
+			entropy: function(params) {
+				return (params.v + 1) / 2 * (Math.h.digamma((params.v + 1) / 2) - Math.h.digamma(params.v / 2)) + Math.log(Math.sqrt(params.v)) + Math.h.lnbeta(params.v / 2, 0.5);
+			},
+
+			matchMoments: function(moments) {
+				return {
+					v: 2 * moments.variance / (moments.variance - 1)
 				};
 			}
 		},
 
 		uniform: {
+			title: 'Uniform',
+
 			description: [
 				'The continuous uniform distribution or rectangular distribution is a family of symmetric probability distributions such that for each member of the family, all intervals of the same length on the distribution\'s support are equally probable. The support is defined by the two parameters, a and b, which are its minimum and maximum values. The distribution is often abbreviated U(a,b). It is the maximum entropy probability distribution for a random variate X under no constraint other than that it is contained in the distribution\'s support.'
 			],
@@ -1689,11 +7771,11 @@ Math.p = {
 			bounds: function(params) {
 				return {
 					lower: {
-						value: -Infinity,
+						value: params.a,
 						closed: true
 					},
 					upper: {
-						value: Infinity,
+						value: params.b,
 						closed: true
 					}
 				};
@@ -1720,6 +7802,16 @@ Math.p = {
 				}
 			],
 
+			constraints: [
+				{
+					param: 'a',
+					message: 'Lower Bound (a) must be less than Upper Bound (b)',
+					test: function(params) {
+						return params.a < params.b;
+					}
+				}
+			],
+
 			mgf: function(params) {
 				return function(t) {
 					return (t === 0) ? 1 : (Math.exp(t * params.b) - Math.exp(t * params.a)) / (t * (params.b - params.a));
@@ -1736,14 +7828,89 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return (x >= params.a && x <= params.b) ? -Math.log(params.b - params.a) : -Infinity;
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.uniform.pdf(params), 0, x);
+					if (x < params.a) {
+						return 0;
+					} else if (x >= params.b) {
+						return 1;
+					}
+
+					return (x - params.a) / (params.b - params.a);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('uniform', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					if (x < params.a) {
+						return 1;
+					} else if (x >= params.b) {
+						return 0;
+					}
+
+					return (params.b - x) / (params.b - params.a);
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					return params.a + p * (params.b - params.a);
+				};
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					return params.a + (params.b - params.a) * rng();
+				});
+			},
+
+			median: function(params) {
+				return (params.a + params.b) / 2;
+			},
+
+			mode: function(params) {
+				// every value is a mode, the lowest is taken
+				return params.a;
+			},
+
+			entropy: function(params) {
+				return Math.log(params.b - params.a);
+			},
+
+			mle: function(samples) {
+				return {
+					a: Math.min.apply(null, samples),
+					b: Math.max.apply(null, samples)
+				};
+			},
+
+			matchMoments: function(moments) {
+				var h = Math.sqrt(3 * moments.variance);
+
+				return {
+					a: moments.mean - h,
+					b: moments.mean + h
 				};
 			}
 		},
 
 		weibull: {
+			title: 'Weibull',
+
 			description: [
 				'The Weibull distribution is a continuous probability distribution. It is named after Waloddi Weibull, who described it in detail in 1951, although it was first identified by Fréchet (1927) and first applied by Rosin & Rammler (1933) to describe a particle size distribution. The Weibull distribution is related to a number of other probability distributions; in particular, it interpolates between the exponential distribution and the Rayleigh distribution. If the quantity X is a "time-to-failure", the Weibull distribution gives a distribution for which the failure rate is proportional to a power of time. The shape parameter, k, is that power plus one.'
 			],
@@ -1774,10 +7941,16 @@ Math.p = {
 					id: 'lambda',
 					symbol: '&lambda;',
 					title: 'Scale',
-					min: -1000,
+					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				},
 				{
 					id: 'k',
@@ -1786,7 +7959,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 1.5
+					value: 1.5,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1819,18 +7998,87 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					if (x < 0) {
+						return -Infinity;
+					} else if (x === 0) {
+						return Math.log(Math.p.distribution.weibull.pdf(params)(x));
+					}
+
+					return Math.log(params.k / params.lambda) + (params.k - 1) * Math.log(x / params.lambda) - Math.pow(x / params.lambda, params.k);
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
 					if (x >= 0) {
-						return 1 - Math.exp(-Math.pow(x / params.lambda, k));
+						return 1 - Math.exp(-Math.pow(x / params.lambda, params.k));
 					} else {
 						return 0;
 					}
 				};
+			},
+
+			logcdf: function(params) {
+				return function(x) {
+					return (x <= 0) ? -Infinity : Math.log(-Math.h.expm1(-Math.pow(x / params.lambda, params.k)));
+				};
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return (x >= 0) ? Math.exp(-Math.pow(x / params.lambda, params.k)) : 1;
+				};
+			},
+
+			quantile: function(params) {
+				return function(p) {
+					if (isNaN(p) || p < 0 || p > 1) {
+						return NaN;
+					}
+
+					return params.lambda * Math.pow(-Math.log(1 - p), 1 / params.k);
+				};
+			},
+
+			sample: function(params, n, rng) {
+				var quantile = Math.p.distribution.weibull.quantile(params);
+
+				return Math.p.draw(n, rng, function(rng) {
+					return quantile(Math.p.variates.uniform(rng));
+				});
+			},
+
+			median: function(params) {
+				return params.lambda * Math.pow(Math.LN2, 1 / params.k);
+			},
+
+			mode: function(params) {
+				return (params.k > 1) ? params.lambda * Math.pow((params.k - 1) / params.k, 1 / params.k) : 0;
+			},
+
+			entropy: function(params) {
+				return Math.h.EM * (1 - 1 / params.k) + Math.log(params.lambda / params.k) + 1;
+			},
+
+			matchMoments: function(moments) {
+				// the squared coefficient of variation depends on k alone and falls as k rises
+				var cv = moments.variance / Math.pow(moments.mean, 2);
+				var k = Math.h.root(function(k) {
+					return Math.exp(Math.h.lngamma(1 + 2 / k) - 2 * Math.h.lngamma(1 + 1 / k)) - 1 - cv;
+				}, 0.01, 1000);
+
+				return {
+					lambda: moments.mean / Math.h.gamma(1 + 1 / k),
+					k: (typeof k === 'undefined') ? NaN : k
+				};
 			}
 		},
 
 		wigner: {
+			title: 'Wigner semicircle',
+
 			description: [
 				'The Wigner semicircle distribution, named after the physicist Eugene Wigner, is the probability distribution supported on the interval [-R, R] the graph of whose probability density function f is a semicircle of radius R centered at (0, 0) and then suitably normalized (so that it is really a semi-ellipse).',
 				'This distribution arises as the limiting distribution of eigenvalues of many random symmetric matrices as the size of the matrix approaches infinity.',
@@ -1866,7 +8114,13 @@ Math.p = {
 					min: 0.01,
 					max: 1000,
 					step: 0.01,
-					value: 1
+					value: 1,
+					domain: {
+						lower: {
+							value: 0,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1889,14 +8143,68 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(x) {
+					return (Math.abs(x) > params.r) ? -Infinity : Math.log(2 / (Math.PI * Math.pow(params.r, 2))) + 0.5 * Math.log(Math.pow(params.r, 2) - Math.pow(x, 2));
+				};
+			},
+
 			cdf: function(params) {
 				return function(x) {
-					return Math.h.integral(Math.p.distribution.wigner.pdf(params), 0, x);
+					if (x <= -params.r) {
+						return 0;
+					} else if (x >= params.r) {
+						return 1;
+					}
+
+					return 0.5 + x * Math.sqrt(Math.pow(params.r, 2) - Math.pow(x, 2)) / (Math.PI * Math.pow(params.r, 2)) + Math.asin(x / params.r) / Math.PI;
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('wigner', params);
+			},
+
+			sf: function(params) {
+				return function(x) {
+					return Math.p.distribution.wigner.cdf(params)(-x);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('wigner', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					var x = Math.p.variates.gamma(1.5, rng);
+
+					return params.r * (2 * x / (x + Math.p.variates.gamma(1.5, rng)) - 1);
+				});
+			},
+
+			median: function(params) {
+				return 0;
+			},
+
+			mode: function(params) {
+				return 0;
+			},
+
+			entropy: function(params) {
+				return Math.log(Math.PI * params.r) - 0.5;
+			},
+
+			matchMoments: function(moments) {
+				return {
+					r: 2 * Math.sqrt(moments.variance)
 				};
 			}
 		},
 
 		zeta: {
+			title: 'Zeta',
+
 			description: [
 				'The zeta distribution is a discrete probability distribution. The Riemann zeta function being the sum of all term k^{-s} for integer k, it appears thus as the normalization of the Zipf distribution. Indeed the terms "Zipf distribution" and the "zeta distribution" are often used interchangeably. But note that while the Zeta distribution is a probability distribution by itself, it is not associated to the Zipf\'s law with same exponent.'
 			],
@@ -1930,7 +8238,13 @@ Math.p = {
 					min: 3,
 					max: 1000,
 					step: 1,
-					value: 3
+					value: 3,
+					domain: {
+						lower: {
+							value: 1,
+							closed: false
+						}
+					}
 				}
 			],
 
@@ -1948,11 +8262,106 @@ Math.p = {
 				};
 			},
 
+			logpdf: function(params) {
+				return function(k) {
+					return (!Math.h.isInt(k) || k < 1) ? -Infinity : -params.s * Math.log(k) - Math.log(Math.h.zeta(params.s));
+				};
+			},
+
 			cdf: function(params) {
 				return function(k) {
-					return Math.h.integral(Math.p.distribution.zeta.pdf(params), 0, k);
+					var i;
+					var s = 0;
+
+					k = Math.floor(k);
+
+					if (k < 1) {
+						return 0;
+					} else if (k > 1000) {
+						return 1 - Math.p.distribution.zeta.sf(params)(k);
+					}
+
+					for (i = 1; i <= k; i++) {
+						s += Math.pow(i, -params.s);
+					}
+
+					return s / Math.h.zeta(params.s);
+				};
+			},
+
+			logcdf: function(params) {
+				return Math.p.logCDF('zeta', params);
+			},
+
+			sf: function(params) {
+				return function(k) {
+					return (k < 1) ? 1 : Math.h.hurwitz(params.s, Math.floor(k) + 1) / Math.h.zeta(params.s);
+				};
+			},
+
+			quantile: function(params) {
+				return Math.p.invertCDF('zeta', params);
+			},
+
+			sample: function(params, n, rng) {
+				return Math.p.draw(n, rng, function(rng) {
+					// rejection method of Devroye
+					var x;
+					var t;
+					var b = Math.pow(2, params.s - 1);
+
+					while (true) {
+						x = Math.floor(Math.pow(Math.p.variates.uniform(rng), -1 / (params.s - 1)));
+						t = Math.pow(1 + 1 / x, params.s - 1);
+
+						if (x >= 1 && isFinite(x) && rng() * x * (t - 1) / (b - 1) <= t / b) {
+							return x;
+						}
+					}
+				});
+			},
+
+			median: function(params) {
+				return Math.p.distribution.zeta.quantile(params)(0.5);
+			},
+
+			mode: function(params) {
+				return 1;
+			},
+
+			entropy: function(params) {
+				return Math.p.integrateEntropy('zeta', params);
+			},
+
+			matchMoments: function(moments) {
+				// the mean falls toward 1 as s rises
+				var s = Math.h.root(function(s) {
+					return Math.h.zeta(s - 1) / Math.h.zeta(s) - moments.mean;
+				}, 2 + 1E-9, 1000);
+
+				return {
+					s: (typeof s === 'undefined') ? NaN : s
 				};
 			}
 		}
 	}
-};
\ No newline at end of file
+};
+
+Math.p.ParamError.prototype = Object.create(Error.prototype);
+Math.p.ParamError.prototype.constructor = Math.p.ParamError;
+
+Math.p.DefinitionError.prototype = Object.create(Error.prototype);
+Math.p.DefinitionError.prototype.constructor = Math.p.DefinitionError;
+
+// describe the support of every distribution by its bounds and lattice
+Object.keys(Math.p.distribution).forEach(function(distrType) {
+	Math.p.distribution[distrType].support = function(params) {
+		return Math.p.support(distrType, params);
+	};
+});
+
+// validate parameters before any distribution function is built from them
+Object.keys(Math.p.distribution).forEach(Math.p.guard);
+
+return Math.p;
+}));
\ No newline at end of file